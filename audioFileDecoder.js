@@ -0,0 +1,34 @@
+/**
+ * Decode an audio file (WAV, MP3, OGG, M4A or anything else Chromium can
+ * decode) to mono samples at the requested sample rate.
+ * @param {File} file Audio file picked by the user
+ * @param {number} sampleRate Target sample rate in Hz
+ * @returns {Promise<Float32Array>}
+ */
+export async function decodeAudioFile(file, sampleRate) {
+	const data = await file.arrayBuffer();
+	// decodeAudioData resamples to the rate of the context it runs on.
+	const decoder = new OfflineAudioContext(1, 1, sampleRate);
+	let decoded;
+	try {
+		decoded = await decoder.decodeAudioData(data);
+	} catch (error) {
+		console.error(`Failed to decode ${file.name}:`, error);
+		throw new Error(`无法解码 ${file.name}，请使用 WAV、MP3、OGG 或 M4A 文件`);
+	}
+	if (!decoded.length) {
+		throw new Error(`${file.name} 中没有音频`);
+	}
+	if (decoded.numberOfChannels === 1) {
+		return decoded.getChannelData(0);
+	}
+
+	// Render through a mono context to down-mix the channels.
+	const mixer = new OfflineAudioContext(1, decoded.length, sampleRate);
+	const source = mixer.createBufferSource();
+	source.buffer = decoded;
+	source.connect(mixer.destination);
+	source.start();
+	const rendered = await mixer.startRendering();
+	return rendered.getChannelData(0);
+}
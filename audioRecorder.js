@@ -0,0 +1,152 @@
+import fs from "node:fs";
+import { createFlacEncoder, STREAMINFO_OFFSET } from "./flacEncoder.js";
+
+export const AUDIO_RECORDING_FORMATS = ["wav", "flac"];
+
+const WAV_HEADER_BYTES = 44;
+const BITS_PER_SAMPLE = 16;
+// Rewrite the WAV sizes every so often so a crash still leaves a playable file.
+const HEADER_REFRESH_MS = 5000;
+
+const buildWavHeader = ({ sampleRate, channels, dataBytes }) => {
+	const blockAlign = channels * (BITS_PER_SAMPLE / 8);
+	const header = Buffer.alloc(WAV_HEADER_BYTES);
+	header.write("RIFF", 0, "ascii");
+	header.writeUInt32LE(Math.min(0xffffffff, 36 + dataBytes), 4);
+	header.write("WAVE", 8, "ascii");
+	header.write("fmt ", 12, "ascii");
+	header.writeUInt32LE(16, 16); // PCM format chunk size
+	header.writeUInt16LE(1, 20); // PCM
+	header.writeUInt16LE(channels, 22);
+	header.writeUInt32LE(sampleRate, 24);
+	header.writeUInt32LE(sampleRate * blockAlign, 28);
+	header.writeUInt16LE(blockAlign, 32);
+	header.writeUInt16LE(BITS_PER_SAMPLE, 34);
+	header.write("data", 36, "ascii");
+	header.writeUInt32LE(Math.min(0xffffffff, dataBytes), 40);
+	return header;
+};
+
+const createWavWriter = ({ sampleRate, channels }) => {
+	let dataBytes = 0;
+	let lastHeaderAt = Date.now();
+
+	return {
+		header: () => buildWavHeader({ sampleRate, channels, dataBytes }),
+		encode(chunk) {
+			dataBytes += chunk.length;
+			return chunk;
+		},
+		// Returns a header rewrite when one is due.
+		refresh(force) {
+			if (!force && Date.now() - lastHeaderAt < HEADER_REFRESH_MS) {
+				return null;
+			}
+			lastHeaderAt = Date.now();
+			return {
+				buffer: buildWavHeader({ sampleRate, channels, dataBytes }),
+				position: 0,
+			};
+		},
+		finish: () => Buffer.alloc(0),
+	};
+};
+
+const createFlacWriter = ({ sampleRate, channels }) => {
+	const encoder = createFlacEncoder({ sampleRate, channels });
+	return {
+		header: () => encoder.header(),
+		encode: (chunk) => encoder.encode(chunk),
+		// STREAMINFO is only complete once the stream has ended.
+		refresh: (force) =>
+			force
+				? { buffer: encoder.streamInfo(), position: STREAMINFO_OFFSET }
+				: null,
+		finish: () => encoder.finish(),
+	};
+};
+
+/**
+ * Write 16-bit PCM to disk as it arrives. Writes are queued so callers can
+ * feed chunks synchronously from the IPC handler; a failed write is logged
+ * and stops the recording without affecting transcription.
+ * @param {Object} params
+ * @param {string} params.filePath Target file
+ * @param {"wav" | "flac"} [params.format] Container format
+ * @param {number} params.sampleRate Sample rate in Hz
+ * @param {number} params.channels Interleaved channel count
+ */
+export async function createAudioRecorder({
+	filePath,
+	format = "wav",
+	sampleRate,
+	channels,
+}) {
+	if (!AUDIO_RECORDING_FORMATS.includes(format)) {
+		throw new Error(`Unsupported audio recording format: ${format}`);
+	}
+	const writer =
+		format === "flac"
+			? createFlacWriter({ sampleRate, channels })
+			: createWavWriter({ sampleRate, channels });
+
+	const file = await fs.promises.open(filePath, "w");
+	let position = 0;
+	let failed = false;
+	let closed = false;
+	let queue = Promise.resolve();
+
+	const append = async (buffer) => {
+		if (!buffer.length) return;
+		await file.write(buffer, 0, buffer.length, position);
+		position += buffer.length;
+	};
+
+	const rewrite = async (patch) => {
+		if (!patch) return;
+		await file.write(patch.buffer, 0, patch.buffer.length, patch.position);
+	};
+
+	const enqueue = (task) => {
+		queue = queue.then(async () => {
+			if (failed) return;
+			try {
+				await task();
+			} catch (error) {
+				failed = true;
+				console.error(`Failed to write audio recording ${filePath}:`, error);
+			}
+		});
+		return queue;
+	};
+
+	await append(writer.header());
+
+	return {
+		format,
+		/**
+		 * @param {Buffer} chunk Interleaved 16-bit little-endian PCM
+		 */
+		write(chunk) {
+			if (closed || failed || !chunk?.length) return;
+			const encoded = writer.encode(chunk);
+			enqueue(async () => {
+				await append(encoded);
+				await rewrite(writer.refresh(false));
+			});
+		},
+		/**
+		 * Flush queued audio, finalize the headers and close the file.
+		 */
+		async close() {
+			if (closed) return;
+			closed = true;
+			enqueue(async () => {
+				await append(writer.finish());
+				await rewrite(writer.refresh(true));
+			});
+			await queue;
+			await file.close();
+		},
+	};
+}
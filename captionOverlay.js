@@ -0,0 +1,159 @@
+import { BrowserWindow, screen } from "electron";
+
+const DEFAULT_FONT_FAMILY =
+	'"Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif';
+const DEFAULT_FONT_SIZE = 28;
+const DEFAULT_TEXT_COLOR = "#ffffff";
+const DEFAULT_BACKGROUND_COLOR = "rgba(0, 0, 0, 0.6)";
+const DEFAULT_LINES = 2;
+const MAX_LINES = 5;
+const LINE_HEIGHT = 1.4;
+const VERTICAL_PADDING = 24;
+// Distance from the screen edge, clear of taskbars and call controls.
+const EDGE_MARGIN = 60;
+const WIDTH_RATIO = 0.8;
+
+export const DEFAULT_CAPTION_SHORTCUT = "CommandOrControl+Shift+C";
+
+const readPositiveInteger = (
+	value,
+	fallback,
+	max = Number.POSITIVE_INFINITY,
+) => {
+	const numeric = Number.parseInt(value, 10);
+	return numeric > 0 ? Math.min(numeric, max) : fallback;
+};
+
+/**
+ * Caption style from the `CAPTION_*` settings, with defaults.
+ */
+export function resolveCaptionStyle() {
+	return {
+		fontFamily: process.env.CAPTION_FONT_FAMILY || DEFAULT_FONT_FAMILY,
+		fontSize: readPositiveInteger(
+			process.env.CAPTION_FONT_SIZE,
+			DEFAULT_FONT_SIZE,
+		),
+		color: process.env.CAPTION_TEXT_COLOR || DEFAULT_TEXT_COLOR,
+		background:
+			process.env.CAPTION_BACKGROUND_COLOR || DEFAULT_BACKGROUND_COLOR,
+		position: process.env.CAPTION_POSITION === "top" ? "top" : "bottom",
+		lines: readPositiveInteger(
+			process.env.CAPTION_LINES,
+			DEFAULT_LINES,
+			MAX_LINES,
+		),
+		lineHeight: LINE_HEIGHT,
+	};
+}
+
+const resolveBounds = (style) => {
+	const { workArea } = screen.getPrimaryDisplay();
+	const width = Math.round(workArea.width * WIDTH_RATIO);
+	const height = Math.ceil(
+		style.lines * style.fontSize * style.lineHeight + VERTICAL_PADDING,
+	);
+	return {
+		width,
+		height,
+		x: workArea.x + Math.round((workArea.width - width) / 2),
+		y:
+			style.position === "top"
+				? workArea.y + EDGE_MARGIN
+				: workArea.y + workArea.height - height - EDGE_MARGIN,
+	};
+};
+
+/**
+ * Frameless, transparent, click-through caption window that stays above
+ * other windows, including full-screen video calls. It is created when shown
+ * and destroyed when hidden.
+ * @param {Object} params
+ * @param {string} params.preload Preload script shared with the other windows
+ * @param {(visible: boolean) => void} [params.onVisibilityChange] Called when the overlay opens or closes
+ */
+export function createCaptionOverlay({ preload, onVisibilityChange }) {
+	let overlayWindow = null;
+
+	const isOpen = () => Boolean(overlayWindow && !overlayWindow.isDestroyed());
+
+	const open = () => {
+		const style = resolveCaptionStyle();
+		overlayWindow = new BrowserWindow({
+			...resolveBounds(style),
+			title: "字幕",
+			frame: false,
+			transparent: true,
+			backgroundColor: "#00000000",
+			hasShadow: false,
+			resizable: false,
+			movable: false,
+			focusable: false,
+			skipTaskbar: true,
+			alwaysOnTop: true,
+			show: false,
+			webPreferences: {
+				preload,
+				nodeIntegration: false,
+				contextIsolation: true,
+				webSecurity: true,
+			},
+		});
+		overlayWindow.setAlwaysOnTop(true, "screen-saver");
+		overlayWindow.setVisibleOnAllWorkspaces(true, {
+			visibleOnFullScreen: true,
+		});
+		overlayWindow.setIgnoreMouseEvents(true);
+		overlayWindow.once("ready-to-show", () => {
+			overlayWindow?.showInactive();
+		});
+		overlayWindow.on("closed", () => {
+			overlayWindow = null;
+			onVisibilityChange?.(false);
+		});
+		overlayWindow.loadFile("overlay.html");
+		onVisibilityChange?.(true);
+	};
+
+	return {
+		get visible() {
+			return isOpen();
+		},
+		/**
+		 * Show the overlay when hidden and hide it when shown.
+		 * @returns {boolean} Whether the overlay is now visible
+		 */
+		toggle() {
+			if (isOpen()) {
+				overlayWindow.close();
+				return false;
+			}
+			open();
+			return true;
+		},
+		/**
+		 * Send an event to the overlay page if it is open.
+		 * @param {string} channel IPC channel
+		 * @param {unknown} [payload]
+		 */
+		send(channel, payload) {
+			if (isOpen()) {
+				overlayWindow.webContents.send(channel, payload);
+			}
+		},
+		/**
+		 * Re-read the caption settings and apply them to an open overlay.
+		 */
+		applyStyle() {
+			if (!isOpen()) return;
+			const style = resolveCaptionStyle();
+			overlayWindow.setBounds(resolveBounds(style));
+			overlayWindow.webContents.send("caption-style", style);
+		},
+		close() {
+			if (isOpen()) {
+				overlayWindow.close();
+			}
+		},
+	};
+}
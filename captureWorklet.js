@@ -0,0 +1,102 @@
+// AudioWorklet processor for Electron capture. Runs on the audio rendering
+// thread: down-mixes or keeps the requested channels, resamples to the target
+// rate and posts fixed size interleaved PCM16 frames to the renderer, which
+// forwards them to the main process.
+
+const DEFAULT_TARGET_SAMPLE_RATE = 16000;
+const DEFAULT_FRAME_MS = 100;
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+	constructor({ processorOptions = {} } = {}) {
+		super();
+		const targetSampleRate =
+			processorOptions.targetSampleRate ?? DEFAULT_TARGET_SAMPLE_RATE;
+		const frameMs = processorOptions.frameMs ?? DEFAULT_FRAME_MS;
+		// 1 mixes every input channel; more keeps input channel n as channel n.
+		this.channels = processorOptions.channels ?? 1;
+		// `sampleRate` is the context rate, a global of the worklet scope.
+		this.ratio = sampleRate / targetSampleRate;
+		this.frameLength =
+			Math.round((targetSampleRate * frameMs) / 1000) * this.channels;
+		this.frame = new Int16Array(this.frameLength);
+		this.frameOffset = 0;
+		this.values = new Float32Array(this.channels);
+		// Downsampling averages the inputs that fall into each output sample,
+		// which also filters out most content above the new Nyquist rate.
+		this.phase = 0;
+		this.sums = new Float32Array(this.channels);
+		this.count = 0;
+		// Upsampling interpolates between the previous and current input.
+		this.previous = new Float32Array(this.channels);
+		this.offset = 0;
+	}
+
+	pushSample(value) {
+		const sample = Math.max(-1, Math.min(1, value));
+		this.frame[this.frameOffset] =
+			sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+		this.frameOffset += 1;
+		if (this.frameOffset === this.frameLength) {
+			this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+			this.frame = new Int16Array(this.frameLength);
+			this.frameOffset = 0;
+		}
+	}
+
+	readValues(inputs, index) {
+		if (this.channels === 1) {
+			let mixed = 0;
+			for (const channel of inputs) {
+				mixed += channel[index];
+			}
+			this.values[0] = mixed / inputs.length;
+			return;
+		}
+		for (let channel = 0; channel < this.channels; channel += 1) {
+			this.values[channel] = inputs[channel]?.[index] ?? 0;
+		}
+	}
+
+	process(inputs) {
+		const channels = inputs[0];
+		if (!channels?.length) {
+			return true;
+		}
+
+		const length = channels[0].length;
+		for (let index = 0; index < length; index += 1) {
+			this.readValues(channels, index);
+
+			if (this.ratio >= 1) {
+				for (let channel = 0; channel < this.channels; channel += 1) {
+					this.sums[channel] += this.values[channel];
+				}
+				this.count += 1;
+				this.phase += 1;
+				if (this.phase >= this.ratio) {
+					for (let channel = 0; channel < this.channels; channel += 1) {
+						this.pushSample(this.sums[channel] / this.count);
+						this.sums[channel] = 0;
+					}
+					this.phase -= this.ratio;
+					this.count = 0;
+				}
+			} else {
+				while (this.offset < 1) {
+					for (let channel = 0; channel < this.channels; channel += 1) {
+						const previous = this.previous[channel];
+						this.pushSample(
+							previous + (this.values[channel] - previous) * this.offset,
+						);
+					}
+					this.offset += this.ratio;
+				}
+				this.offset -= 1;
+				this.previous.set(this.values);
+			}
+		}
+		return true;
+	}
+}
+
+registerProcessor("pcm-capture", PcmCaptureProcessor);
@@ -0,0 +1,96 @@
+const BYTES_PER_SAMPLE = 2;
+// How much per-channel energy history is kept for attributing segments.
+const ENERGY_HISTORY_MS = 120000;
+// Transcripts arrive after the audio they describe, so the window a segment
+// is attributed from starts this much earlier than its first partial.
+const TRANSCRIPT_LAG_MS = 1000;
+
+// Dual capture puts the microphone on channel 0 and system audio on channel 1.
+export const CHANNEL_SPEAKERS = ["Me", "Remote"];
+
+/**
+ * Average interleaved 16-bit PCM down to one channel.
+ * @param {Buffer} chunk Interleaved 16-bit little-endian PCM
+ * @param {number} channels Interleaved channel count
+ */
+export function downmixToMono(chunk, channels) {
+	if (channels <= 1) return chunk;
+	const frameBytes = channels * BYTES_PER_SAMPLE;
+	const frames = Math.floor(chunk.length / frameBytes);
+	const mono = Buffer.alloc(frames * BYTES_PER_SAMPLE);
+	for (let frame = 0; frame < frames; frame += 1) {
+		let sum = 0;
+		for (let channel = 0; channel < channels; channel += 1) {
+			sum += chunk.readInt16LE(frame * frameBytes + channel * BYTES_PER_SAMPLE);
+		}
+		mono.writeInt16LE(Math.round(sum / channels), frame * BYTES_PER_SAMPLE);
+	}
+	return mono;
+}
+
+/**
+ * Track the energy of each channel over time so segments from providers that
+ * only hear a mono down-mix can still be attributed to the louder channel.
+ * @param {Object} params
+ * @param {number} params.sampleRate Sample rate in Hz
+ * @param {number} params.channels Interleaved channel count
+ */
+export function createChannelEnergyTracker({ sampleRate, channels }) {
+	const frameBytes = channels * BYTES_PER_SAMPLE;
+	const history = [];
+
+	return {
+		/**
+		 * @param {Buffer} chunk Interleaved 16-bit little-endian PCM
+		 * @param {number} endMs Session offset at which the chunk ended
+		 */
+		push(chunk, endMs) {
+			const frames = Math.floor(chunk.length / frameBytes);
+			if (!frames) return;
+			const energies = new Array(channels).fill(0);
+			for (let frame = 0; frame < frames; frame += 1) {
+				for (let channel = 0; channel < channels; channel += 1) {
+					const sample =
+						chunk.readInt16LE(frame * frameBytes + channel * BYTES_PER_SAMPLE) /
+						32768;
+					energies[channel] += sample * sample;
+				}
+			}
+			history.push({
+				startMs: endMs - (frames * 1000) / sampleRate,
+				endMs,
+				energies,
+			});
+			while (history.length && history[0].endMs < endMs - ENERGY_HISTORY_MS) {
+				history.shift();
+			}
+		},
+		/**
+		 * Channel with the most energy while a segment was spoken, or null when
+		 * nothing was captured in that window.
+		 * @param {number} startMs Session offset of the segment's first result
+		 * @param {number} endMs Session offset of its latest result
+		 */
+		dominantChannel(startMs, endMs) {
+			const totals = new Array(channels).fill(0);
+			for (const entry of history) {
+				if (
+					entry.endMs < startMs - TRANSCRIPT_LAG_MS ||
+					entry.startMs > endMs
+				) {
+					continue;
+				}
+				entry.energies.forEach((energy, channel) => {
+					totals[channel] += energy;
+				});
+			}
+			let dominant = null;
+			for (let channel = 0; channel < channels; channel += 1) {
+				if (totals[channel] > (dominant === null ? 0 : totals[dominant])) {
+					dominant = channel;
+				}
+			}
+			return dominant;
+		},
+	};
+}
@@ -0,0 +1,216 @@
+// Spoken-form Chinese numbers and missing punctuation in transcripts. The
+// rules only fire on unambiguous patterns (a year before a month, 分 after a
+// time, 块钱 after an amount) so that words such as 一点 or 一块 stay as they
+// are.
+
+const DIGIT_VALUES = {
+	零: 0,
+	〇: 0,
+	幺: 1,
+	一: 1,
+	二: 2,
+	两: 2,
+	三: 3,
+	四: 4,
+	五: 5,
+	六: 6,
+	七: 7,
+	八: 8,
+	九: 9,
+};
+const UNIT_VALUES = { 十: 10, 百: 100, 千: 1000 };
+const SECTION_VALUES = { 万: 10000, 亿: 100000000 };
+
+const DIGIT = "[零〇一二三四五六七八九]";
+const NUMBER = "[零〇一二两三四五六七八九十百千万亿]+";
+const DECIMAL = `${NUMBER}(?:点${DIGIT}+)?`;
+const HOUR = "[零一二两三四五六七八九十]{1,3}";
+const MINUTE = "[零〇一二三四五六七八九十]{1,3}";
+const MONTH = "十[一二]?|[一二三四五六七八九]";
+const DAY = "三十一?|二?十[一二三四五六七八九]?|[一二三四五六七八九]";
+const TIME_OF_DAY = "上午|下午|中午|晚上|早上|凌晨|傍晚";
+const CURRENCIES = "美元|美金|欧元|英镑|日元|港币|人民币";
+// 一点 and 两点 also mean "a bit" and "two points": a decimal needs no
+// demonstrative or number before it and no classifier or word such as 一定
+// after it.
+const DECIMAL_BEFORE_BLOCKERS =
+	"这那哪有每第几差零〇一二两三四五六七八九十百千万亿";
+const DECIMAL_AFTER_BLOCKERS =
+	"分半钟刻点十零〇一二三四五六七八九个位名件条项种次回遍台张本只头家定直起切下般样些";
+// Phone numbers and account numbers are read digit by digit.
+const MIN_DIGIT_RUN = 7;
+
+const digitsOf = (text) =>
+	[...text].map((character) => DIGIT_VALUES[character]).join("");
+
+/**
+ * Value of a spoken Chinese integer such as 两千零二十六 or 三百五. A run of
+ * bare digits (二零二六) is read digit by digit.
+ * @returns {number | null} Null when the text is not a number
+ */
+export function parseChineseInteger(text) {
+	if (!text.length) return null;
+	if (text.length > 1 && [...text].every((c) => c in DIGIT_VALUES)) {
+		return Number(digitsOf(text));
+	}
+	let total = 0;
+	let section = 0;
+	let number = null;
+	let lastUnit = null;
+	for (const character of text) {
+		if (character in DIGIT_VALUES) {
+			if (character === "零" || character === "〇") {
+				lastUnit = null;
+			}
+			number = DIGIT_VALUES[character];
+		} else if (character in UNIT_VALUES) {
+			section += (number ?? 1) * UNIT_VALUES[character];
+			number = null;
+			lastUnit = UNIT_VALUES[character];
+		} else if (character in SECTION_VALUES) {
+			total += (section + (number ?? 0)) * SECTION_VALUES[character];
+			section = 0;
+			number = null;
+			lastUnit = SECTION_VALUES[character];
+		} else {
+			return null;
+		}
+	}
+	// 三百五 is 350 and 两万五 is 25000.
+	if (number !== null && lastUnit >= 100) {
+		number *= lastUnit / 10;
+	}
+	return total + section + (number ?? 0);
+}
+
+const parseDecimal = (text) => {
+	const [integer, fraction] = text.split("点");
+	const value = parseChineseInteger(integer);
+	if (value === null) return null;
+	return fraction ? `${value}.${digitsOf(fraction)}` : String(value);
+};
+
+const formatTime = (hourText, minutes) => {
+	const hour = parseChineseInteger(hourText);
+	if (hour === null || hour > 24 || minutes === null || minutes > 59) {
+		return null;
+	}
+	return `${hour}:${String(minutes).padStart(2, "0")}`;
+};
+
+// Each rule is [pattern, replacer]; a replacer returning null keeps the match.
+const ITN_RULES = [
+	[
+		new RegExp(`百分之(${DECIMAL})`, "g"),
+		(_match, value) => {
+			const number = parseDecimal(value);
+			return number === null ? null : `${number}%`;
+		},
+	],
+	[
+		new RegExp(`(?:(${DIGIT}{4})年)?(${MONTH})月(?:(${DAY})([日号]))?`, "g"),
+		(_match, year, month, day, suffix) => {
+			if (!year && !day) return null;
+			return [
+				year ? `${digitsOf(year)}年` : "",
+				`${parseChineseInteger(month)}月`,
+				day ? `${parseChineseInteger(day)}${suffix}` : "",
+			].join("");
+		},
+	],
+	[new RegExp(`(${DIGIT}{4})年`, "g"), (_match, year) => `${digitsOf(year)}年`],
+	[
+		new RegExp(`(${HOUR})点(${MINUTE})分`, "g"),
+		(_match, hour, minutes) => formatTime(hour, parseChineseInteger(minutes)),
+	],
+	[new RegExp(`(${HOUR})点半`, "g"), (_match, hour) => formatTime(hour, 30)],
+	[
+		new RegExp(`(${HOUR})点([一三])刻`, "g"),
+		(_match, hour, quarter) => formatTime(hour, quarter === "一" ? 15 : 45),
+	],
+	[
+		new RegExp(
+			`(${TIME_OF_DAY})(${HOUR})点(?:钟)?(?![零〇一二三四五六七八九十半])`,
+			"g",
+		),
+		(_match, period, hour) => {
+			const value = parseChineseInteger(hour);
+			return value === null || value > 24 ? null : `${period}${value}点`;
+		},
+	],
+	[
+		// Not 一块一块 ("piece by piece").
+		new RegExp(`(${NUMBER})块(${DIGIT})(?!块)毛?(?:钱)?`, "g"),
+		(_match, yuan, jiao) => {
+			const value = parseChineseInteger(yuan);
+			return value === null ? null : `${value}.${digitsOf(jiao)}元`;
+		},
+	],
+	[
+		new RegExp(`(${DECIMAL})(?:块钱|元(?![旦素宵]))`, "g"),
+		(_match, value) => {
+			const number = parseDecimal(value);
+			return number === null ? null : `${number}元`;
+		},
+	],
+	[
+		new RegExp(`(${DECIMAL})(${CURRENCIES})`, "g"),
+		(_match, value, currency) => {
+			const number = parseDecimal(value);
+			return number === null ? null : `${number}${currency}`;
+		},
+	],
+	[
+		// Not 一点一点 ("bit by bit").
+		new RegExp(
+			`(?<![${DECIMAL_BEFORE_BLOCKERS}])(${NUMBER})点(${DIGIT}+)(?![${DECIMAL_AFTER_BLOCKERS}])`,
+			"g",
+		),
+		(match) => parseDecimal(match),
+	],
+	[
+		new RegExp(`[零〇幺一二三四五六七八九]{${MIN_DIGIT_RUN},}`, "g"),
+		(match) => digitsOf(match),
+	],
+];
+
+/**
+ * Write spoken-form dates, times, percentages, amounts of money, decimals
+ * and digit-by-digit numbers such as phone numbers with Arabic numerals.
+ * @param {string} text
+ */
+export function inverseNormalizeChinese(text) {
+	return ITN_RULES.reduce(
+		(current, [pattern, replace]) =>
+			current.replace(pattern, (...match) => replace(...match) ?? match[0]),
+		text,
+	);
+}
+
+// Points and colons inside numbers (3.5, 3:30) are not sentence punctuation.
+const PUNCTUATION_PATTERN = /[，。！？、；：!?;…]|[,.:](?!\d)/;
+const HAN_PATTERN = /\p{Script=Han}/gu;
+const HAN_GAP_PATTERN = /(?<=\p{Script=Han})\s+(?=\p{Script=Han})/gu;
+const QUESTION_ENDING = /[吗呢么]$/;
+// Providers that put a space between every word do not mark pauses with
+// them; fewer spaces than one per this many characters are read as pauses.
+const MIN_HAN_CHARACTERS_PER_PAUSE = 6;
+
+/**
+ * Add punctuation to a segment that has none: commas at pauses between
+ * Chinese phrases and a full stop or question mark at the end. Segments with
+ * any punctuation or without Chinese characters are returned unchanged.
+ * @param {string} text
+ */
+export function restorePunctuation(text) {
+	const trimmed = text.trim();
+	if (!trimmed.length || PUNCTUATION_PATTERN.test(trimmed)) return trimmed;
+	const hanCount = trimmed.match(HAN_PATTERN)?.length ?? 0;
+	if (!hanCount) return trimmed;
+	const gapCount = trimmed.match(HAN_GAP_PATTERN)?.length ?? 0;
+	const phrased =
+		gapCount && gapCount * MIN_HAN_CHARACTERS_PER_PAUSE <= hanCount
+			? trimmed.replace(HAN_GAP_PATTERN, "，")
+			: trimmed;
+	return `${phrased}${QUESTION_ENDING.test(phrased) ? "？" : "。"}`;
+}
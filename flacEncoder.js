@@ -0,0 +1,350 @@
+import crypto from "node:crypto";
+
+const BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+const BYTES_PER_SAMPLE = BITS_PER_SAMPLE / 8;
+const MAX_FIXED_ORDER = 4;
+const MAX_RICE_PARAMETER = 14;
+export const STREAMINFO_OFFSET = 8; // "fLaC" + metadata block header
+const STREAMINFO_LENGTH = 34;
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let index = 0; index < 256; index += 1) {
+	let crc8 = index;
+	let crc16 = index << 8;
+	for (let bit = 0; bit < 8; bit += 1) {
+		crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+		crc16 =
+			crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+	}
+	CRC8_TABLE[index] = crc8;
+	CRC16_TABLE[index] = crc16;
+}
+
+// Frame header codes for common rates; others are written after the header.
+const SAMPLE_RATE_CODES = {
+	8000: 0b0100,
+	16000: 0b0101,
+	22050: 0b0110,
+	24000: 0b0111,
+	32000: 0b1000,
+	44100: 0b1001,
+	48000: 0b1010,
+	96000: 0b1011,
+};
+
+const describeSampleRate = (sampleRate) => {
+	if (SAMPLE_RATE_CODES[sampleRate]) {
+		return { code: SAMPLE_RATE_CODES[sampleRate], bits: 0 };
+	}
+	if (sampleRate <= 0xffff) {
+		return { code: 0b1101, value: sampleRate, bits: 16 }; // Hz
+	}
+	if (sampleRate % 10 === 0 && sampleRate / 10 <= 0xffff) {
+		return { code: 0b1110, value: sampleRate / 10, bits: 16 }; // tens of Hz
+	}
+	return { code: 0b0000, bits: 0 }; // STREAMINFO only
+};
+
+const crc8 = (bytes) => {
+	let crc = 0;
+	for (const byte of bytes) crc = CRC8_TABLE[crc ^ byte];
+	return crc;
+};
+
+const crc16 = (bytes) => {
+	let crc = 0;
+	for (const byte of bytes) {
+		crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ byte];
+	}
+	return crc;
+};
+
+class BitWriter {
+	constructor(capacity = 1024) {
+		this.bytes = new Uint8Array(capacity);
+		this.length = 0;
+		this.current = 0;
+		this.bitCount = 0;
+	}
+
+	pushByte(byte) {
+		if (this.length === this.bytes.length) {
+			const grown = new Uint8Array(this.bytes.length * 2);
+			grown.set(this.bytes);
+			this.bytes = grown;
+		}
+		this.bytes[this.length] = byte;
+		this.length += 1;
+	}
+
+	// Write the low `count` bits of a non-negative value, most significant first.
+	write(value, count) {
+		for (let shift = count - 1; shift >= 0; shift -= 1) {
+			this.current = (this.current << 1) | (Math.floor(value / 2 ** shift) & 1);
+			this.bitCount += 1;
+			if (this.bitCount === 8) {
+				this.pushByte(this.current);
+				this.current = 0;
+				this.bitCount = 0;
+			}
+		}
+	}
+
+	writeSigned(value, count) {
+		this.write(value < 0 ? value + 2 ** count : value, count);
+	}
+
+	writeUnary(zeros) {
+		for (let index = 0; index < zeros; index += 1) this.write(0, 1);
+		this.write(1, 1);
+	}
+
+	alignToByte() {
+		if (this.bitCount > 0) this.write(0, 8 - this.bitCount);
+	}
+
+	toBuffer() {
+		return Buffer.from(this.bytes.buffer, 0, this.length);
+	}
+}
+
+// FLAC's UTF-8-like variable length coding of the frame number.
+const writeFrameNumber = (writer, value) => {
+	if (value < 0x80) {
+		writer.write(value, 8);
+		return;
+	}
+	let extraBytes = 1;
+	while (value >= 2 ** (6 + 5 * extraBytes)) extraBytes += 1;
+	writer.write(2 ** (extraBytes + 1) - 1, extraBytes + 1);
+	writer.write(0, 1);
+	writer.write(Math.floor(value / 2 ** (6 * extraBytes)), 6 - extraBytes);
+	for (let index = extraBytes - 1; index >= 0; index -= 1) {
+		writer.write(0b10, 2);
+		writer.write(Math.floor(value / 2 ** (6 * index)) & 0x3f, 6);
+	}
+};
+
+const computeResiduals = (samples, order) => {
+	const residuals = new Int32Array(samples.length - order);
+	for (let index = order; index < samples.length; index += 1) {
+		const s = samples;
+		let predicted = 0;
+		switch (order) {
+			case 1:
+				predicted = s[index - 1];
+				break;
+			case 2:
+				predicted = 2 * s[index - 1] - s[index - 2];
+				break;
+			case 3:
+				predicted = 3 * s[index - 1] - 3 * s[index - 2] + s[index - 3];
+				break;
+			case 4:
+				predicted =
+					4 * s[index - 1] - 6 * s[index - 2] + 4 * s[index - 3] - s[index - 4];
+				break;
+		}
+		residuals[index - order] = s[index] - predicted;
+	}
+	return residuals;
+};
+
+const zigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+const riceBits = (residuals, parameter) => {
+	let bits = residuals.length * (parameter + 1);
+	for (const residual of residuals) {
+		bits += Math.floor(zigzag(residual) / 2 ** parameter);
+	}
+	return bits;
+};
+
+// Pick the Rice parameter with the smallest encoded size, searching around
+// the estimate from the mean residual magnitude.
+const chooseRiceParameter = (residuals, magnitude) => {
+	const mean = residuals.length ? magnitude / residuals.length : 0;
+	const estimate = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+	let best = null;
+	for (
+		let parameter = estimate - 1;
+		parameter <= estimate + 1;
+		parameter += 1
+	) {
+		if (parameter < 0 || parameter > MAX_RICE_PARAMETER) continue;
+		const bits = riceBits(residuals, parameter);
+		if (!best || bits < best.bits) best = { parameter, bits };
+	}
+	return best;
+};
+
+const writeSubframe = (writer, samples) => {
+	const verbatimBits = samples.length * BITS_PER_SAMPLE;
+	// The predictor order with the smallest residuals compresses best.
+	let candidate = null;
+	const maxOrder = Math.min(MAX_FIXED_ORDER, samples.length - 1);
+	for (let order = 0; order <= maxOrder; order += 1) {
+		const residuals = computeResiduals(samples, order);
+		let magnitude = 0;
+		for (const residual of residuals) magnitude += zigzag(residual);
+		if (!candidate || magnitude < candidate.magnitude) {
+			candidate = { order, residuals, magnitude };
+		}
+	}
+	const rice = chooseRiceParameter(candidate.residuals, candidate.magnitude);
+	const best = {
+		...candidate,
+		...rice,
+		bits: candidate.order * BITS_PER_SAMPLE + 6 + rice.bits,
+	};
+
+	writer.write(0, 1); // zero padding bit
+	if (best.bits >= verbatimBits) {
+		writer.write(0b000001, 6); // VERBATIM
+		writer.write(0, 1); // no wasted bits
+		for (const sample of samples) writer.writeSigned(sample, BITS_PER_SAMPLE);
+		return;
+	}
+
+	writer.write(0b001000 | best.order, 6); // FIXED
+	writer.write(0, 1);
+	for (let index = 0; index < best.order; index += 1) {
+		writer.writeSigned(samples[index], BITS_PER_SAMPLE);
+	}
+	writer.write(0b00, 2); // Rice, 4-bit parameters
+	writer.write(0, 4); // single partition
+	writer.write(best.parameter, 4);
+	for (const residual of best.residuals) {
+		const value = zigzag(residual);
+		writer.writeUnary(Math.floor(value / 2 ** best.parameter));
+		if (best.parameter > 0) {
+			writer.write(value % 2 ** best.parameter, best.parameter);
+		}
+	}
+};
+
+/**
+ * Streaming FLAC encoder for interleaved 16-bit little-endian PCM.
+ * Feed PCM through `encode()`, which returns whole frames, then call
+ * `finish()` for the last frame and `streamInfo()` for the final header.
+ * @param {Object} params
+ * @param {number} params.sampleRate Sample rate in Hz
+ * @param {number} params.channels Channel count (1-8)
+ */
+export function createFlacEncoder({ sampleRate, channels }) {
+	if (!Number.isInteger(channels) || channels < 1 || channels > 8) {
+		throw new Error(`FLAC supports 1-8 channels, got ${channels}.`);
+	}
+	const bytesPerFrame = channels * BYTES_PER_SAMPLE;
+	// Repeat the rate in every frame header so frames decode on their own.
+	const rate = describeSampleRate(sampleRate);
+	const md5 = crypto.createHash("md5");
+	let pending = Buffer.alloc(0);
+	let frameNumber = 0;
+	let totalSamples = 0;
+	let minFrameSize = 0;
+	let maxFrameSize = 0;
+	let digest = null;
+
+	const encodeFrame = (pcm) => {
+		const blockSize = pcm.length / bytesPerFrame;
+		md5.update(pcm);
+		const writer = new BitWriter(pcm.length + 64);
+		writer.write(0xfff8, 16); // sync code, fixed block size
+		writer.write(0b0111, 4); // block size stored as 16 bits after the header
+		writer.write(rate.code, 4);
+		writer.write(channels - 1, 4); // independent channels
+		writer.write(0b100, 3); // 16 bits per sample
+		writer.write(0, 1);
+		writeFrameNumber(writer, frameNumber);
+		writer.write(blockSize - 1, 16);
+		if (rate.bits) writer.write(rate.value, rate.bits);
+		writer.write(crc8(writer.bytes.subarray(0, writer.length)), 8);
+
+		for (let channel = 0; channel < channels; channel += 1) {
+			const samples = new Int32Array(blockSize);
+			for (let index = 0; index < blockSize; index += 1) {
+				samples[index] = pcm.readInt16LE(
+					index * bytesPerFrame + channel * BYTES_PER_SAMPLE,
+				);
+			}
+			writeSubframe(writer, samples);
+		}
+		writer.alignToByte();
+		writer.write(crc16(writer.bytes.subarray(0, writer.length)), 16);
+
+		const frame = writer.toBuffer();
+		minFrameSize = minFrameSize
+			? Math.min(minFrameSize, frame.length)
+			: frame.length;
+		maxFrameSize = Math.max(maxFrameSize, frame.length);
+		frameNumber += 1;
+		totalSamples += blockSize;
+		return frame;
+	};
+
+	const drain = (force) => {
+		const frames = [];
+		const blockBytes = BLOCK_SIZE * bytesPerFrame;
+		while (
+			pending.length >= blockBytes ||
+			(force && pending.length >= bytesPerFrame)
+		) {
+			const length = Math.min(
+				blockBytes,
+				pending.length - (pending.length % bytesPerFrame),
+			);
+			frames.push(encodeFrame(pending.subarray(0, length)));
+			pending = pending.subarray(length);
+		}
+		return frames.length ? Buffer.concat(frames) : Buffer.alloc(0);
+	};
+
+	return {
+		/**
+		 * The stream marker and STREAMINFO block to write before any frame.
+		 */
+		header() {
+			const marker = Buffer.from("fLaC", "ascii");
+			const blockHeader = Buffer.from([0x80, 0, 0, STREAMINFO_LENGTH]);
+			return Buffer.concat([marker, blockHeader, this.streamInfo()]);
+		},
+		/**
+		 * STREAMINFO body; call again after `finish()` and write it at
+		 * `STREAMINFO_OFFSET` to record sizes, sample count and MD5.
+		 */
+		streamInfo() {
+			const writer = new BitWriter(STREAMINFO_LENGTH);
+			writer.write(BLOCK_SIZE, 16);
+			writer.write(BLOCK_SIZE, 16);
+			writer.write(minFrameSize, 24);
+			writer.write(maxFrameSize, 24);
+			writer.write(sampleRate, 20);
+			writer.write(channels - 1, 3);
+			writer.write(BITS_PER_SAMPLE - 1, 5);
+			writer.write(totalSamples, 36);
+			const info = writer.toBuffer();
+			return Buffer.concat([info, digest ?? Buffer.alloc(16)]);
+		},
+		/**
+		 * @param {Buffer} chunk Interleaved 16-bit PCM
+		 * @returns {Buffer} Encoded frames, possibly empty
+		 */
+		encode(chunk) {
+			// Chunks need not end on a sample frame; the remainder waits in
+			// `pending` for the next chunk.
+			pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+			return drain(false);
+		},
+		/**
+		 * @returns {Buffer} The final, possibly shorter, frame
+		 */
+		finish() {
+			const frames = drain(true);
+			digest = md5.digest();
+			return frames;
+		},
+	};
+}
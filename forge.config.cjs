@@ -3,7 +3,6 @@ module.exports = {
     packagerConfig: {
         asar: true,
         executableName: "Transcript",
-        extraResource: [".env"]
     },
     rebuildConfig: {},
     makers: [
@@ -0,0 +1,172 @@
+const SEARCH_DEBOUNCE_MS = 250;
+
+const formatDateTime = (value) => {
+	if (!value) return "—";
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? "—" : date.toLocaleString();
+};
+
+const formatSessionMeta = (session) =>
+	[
+		formatDateTime(session.startedAt),
+		session.provider,
+		session.audioCaptureType,
+		session.sourceFile,
+		session.language,
+		`${session.segmentCount ?? session.segments?.length ?? 0} 段`,
+	]
+		.filter(Boolean)
+		.join(" · ");
+
+/**
+ * Wire up the session history panel.
+ * @param {Object} params
+ * @param {(session: Object) => void} params.onOpen Called with a full session record to show it in the transcript view
+ * @param {(id: string) => void} [params.onExport] Called with a session id to export it
+ */
+export function setupHistoryView({ onOpen, onExport }) {
+	const api = window.electronAPI;
+	const toggleBtn = document.getElementById("historyBtn");
+	const panelEl = document.getElementById("historyPanel");
+	const searchEl = document.getElementById("historySearch");
+	const listEl = document.getElementById("historyList");
+	const actionsEl = document.getElementById("historyDetailActions");
+	const titleEl = document.getElementById("historyTitle");
+	const renameBtn = document.getElementById("historyRenameBtn");
+	const openBtn = document.getElementById("historyOpenBtn");
+	const exportBtn = document.getElementById("historyExportBtn");
+	const deleteBtn = document.getElementById("historyDeleteBtn");
+	const detailEl = document.getElementById("historyDetail");
+
+	if (!api?.listHistory || !toggleBtn || !panelEl || !listEl) {
+		return;
+	}
+
+	let selectedSession = null;
+	let searchTimer = null;
+
+	const clearSelection = () => {
+		selectedSession = null;
+		actionsEl.hidden = true;
+		detailEl.textContent = "";
+	};
+
+	const renderList = (sessions) => {
+		listEl.innerHTML = "";
+		if (!sessions.length) {
+			const empty = document.createElement("li");
+			empty.textContent = searchEl.value.trim()
+				? "没有匹配的历史记录"
+				: "暂无历史记录";
+			listEl.append(empty);
+			return;
+		}
+
+		sessions.forEach((session) => {
+			const item = document.createElement("li");
+			item.dataset.id = session.id;
+			item.classList.toggle("selected", session.id === selectedSession?.id);
+			const title = document.createElement("strong");
+			title.textContent = session.title;
+			const meta = document.createElement("small");
+			meta.textContent = formatSessionMeta(session);
+			const snippet = document.createElement("small");
+			snippet.textContent = session.snippet;
+			item.append(title, meta, snippet);
+			item.addEventListener("click", () => {
+				void selectSession(session.id);
+			});
+			listEl.append(item);
+		});
+	};
+
+	const refreshList = async () => {
+		const result = await api.listHistory({ query: searchEl.value });
+		if (!result?.success) {
+			console.error("Failed to load history:", result?.message);
+		}
+		renderList(result?.sessions ?? []);
+	};
+
+	const selectSession = async (id) => {
+		const result = await api.getHistorySession(id);
+		if (!result?.success) {
+			console.error("Failed to open history session:", result?.message);
+			return;
+		}
+
+		selectedSession = result.session;
+		actionsEl.hidden = false;
+		titleEl.value = selectedSession.title;
+		detailEl.textContent =
+			selectedSession.segments
+				.map((segment) => {
+					const speaker = segment.speaker
+						? (selectedSession.speakerNames?.[segment.speaker] ??
+							segment.speaker)
+						: null;
+					return speaker ? `${speaker}: ${segment.text}` : segment.text;
+				})
+				.join("\n") || "（无转录内容）";
+		for (const item of listEl.children) {
+			item.classList.toggle("selected", item.dataset.id === id);
+		}
+	};
+
+	toggleBtn.addEventListener("click", () => {
+		panelEl.hidden = !panelEl.hidden;
+		if (!panelEl.hidden) {
+			void refreshList();
+		}
+	});
+
+	searchEl.addEventListener("input", () => {
+		clearTimeout(searchTimer);
+		searchTimer = setTimeout(() => {
+			void refreshList();
+		}, SEARCH_DEBOUNCE_MS);
+	});
+
+	renameBtn.addEventListener("click", async () => {
+		if (!selectedSession) return;
+		const result = await api.renameHistorySession(
+			selectedSession.id,
+			titleEl.value,
+		);
+		if (!result?.success) {
+			alert(result?.message || "重命名失败");
+			return;
+		}
+		selectedSession.title = result.session.title;
+		await refreshList();
+	});
+
+	openBtn.addEventListener("click", () => {
+		if (!selectedSession) return;
+		onOpen?.(selectedSession);
+		panelEl.hidden = true;
+	});
+
+	exportBtn?.addEventListener("click", () => {
+		if (!selectedSession) return;
+		onExport?.(selectedSession.id);
+	});
+
+	deleteBtn.addEventListener("click", async () => {
+		if (!selectedSession) return;
+		if (!confirm(`确定删除「${selectedSession.title}」吗？`)) return;
+		const result = await api.deleteHistorySession(selectedSession.id);
+		if (!result?.success) {
+			alert(result?.message || "删除失败");
+			return;
+		}
+		clearSelection();
+		await refreshList();
+	});
+
+	api.onHistoryUpdated?.(() => {
+		if (!panelEl.hidden) {
+			void refreshList();
+		}
+	});
+}
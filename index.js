@@ -2,7 +2,7 @@ import fs from "node:fs";
 import path from "node:path";
 import {fileURLToPath} from "node:url";
 import dotenv from "dotenv";
-import {app, BrowserWindow, ipcMain} from "electron";
+import {app, BrowserWindow, dialog, globalShortcut, ipcMain, safeStorage} from "electron";
 import {initMain} from "electron-audio-loopback";
 import {
     isRecallRecordingActive,
@@ -10,31 +10,73 @@ import {
     startRecallRecording,
     stopRecallRecording,
 } from "./recallai.js";
-import {createAssemblyStreamingSession} from "./transcription/assembly.js";
-import {createDeepgramSession} from "./transcription/deepgram.js";
-import {createGladiaSession} from "./transcription/gladia.js";
-import {createGoogleGenaiSession} from "./transcription/googleGenai.js";
-import {createRevaiSession} from "./transcription/revai.js";
-import {createSpeechmaticsSession} from "./transcription/speechmatics.js";
-import {convertToSimpleChinese} from "./utils.js";
-import {logError, setupProcessErrorLogging} from "./logger.js";
-
-const envPath = app.isPackaged
-    ? path.join(process.resourcesPath, ".env")
-    : path.resolve(".env");
-dotenv.config({path: envPath});
+import {
+    DEFAULT_LANGUAGE,
+    describeProviders,
+    getProvider,
+    getProvidersForCapture,
+    listMockScripts,
+    loadExternalProviders,
+    resolveProviderLanguage,
+    supportsCaptureType,
+    supportsLanguage,
+} from "./transcription/index.js";
+import {DEFAULT_PIPELINE_PROFILE, loadTranscriptPipelines} from "./transcriptPipeline.js";
+import {logError, logWarning, setupProcessErrorLogging} from "./logger.js";
+import {
+    applySpeakerName,
+    createSessionRecord,
+    deleteSession,
+    getSession,
+    listSessions,
+    renameSession,
+    renameSpeaker,
+    resolveSessionAudioFile,
+    saveSession,
+    scheduleSessionSave,
+    setHistoryDirectory,
+    updateSession,
+} from "./sessionHistory.js";
+import {EXPORT_FORMATS, renderTranscriptExport, toSummaryMarkdown} from "./transcriptExport.js";
+import {describeSettings, loadSettings, updateSettings} from "./settings.js";
+import {AUDIO_RECORDING_FORMATS, createAudioRecorder} from "./audioRecorder.js";
+import {createVoiceGate} from "./voiceActivity.js";
+import {CHANNEL_SPEAKERS, createChannelEnergyTracker, downmixToMono} from "./channelAttribution.js";
+import {createSignalMonitor, DEFAULT_NO_AUDIO_WARNING_MS} from "./signalMonitor.js";
+import {startTranscriptServer} from "./transcriptServer.js";
+import {createWebhookDispatcher, parseWebhookUrls} from "./webhooks.js";
+import {createCaptionOverlay, DEFAULT_CAPTION_SHORTCUT, resolveCaptionStyle} from "./captionOverlay.js";
+import {createSegmentTranslator} from "./translation.js";
+import {generateMeetingSummary} from "./meetingSummary.js";
+import {createTranscriptModel} from "./transcriptModel.js";
+
+// The .env file is a developer fallback only; packaged builds read keys from
+// the encrypted settings store in userData.
+if (!app.isPackaged) {
+    dotenv.config({path: path.resolve(".env")});
+}
 initMain();
 setupProcessErrorLogging();
 
 const DEFAULT_SAMPLE_RATE = 44100;
 const DEFAULT_CHANNELS = 1;
 const DEFAULT_ENCODING = "linear16";
-const RECALL_SUPPORTED_PROVIDERS = new Set(["deepgram", "assembly"]);
-const SIMPLIFIED_TRANSCRIPT_PROVIDERS = new Set(["assembly"]); // 仅针对台湾会议
-const REPLACING_FINAL_TRANSCRIPT_PROVIDERS = new Set([
-    "googleGenai",
-    "deepgram",
-]);
+const BYTES_PER_SAMPLE = 2;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 15000;
+const RECONNECT_MAX_ATTEMPTS = 6;
+const RECONNECT_ATTEMPTS_BEFORE_FAILOVER = 3;
+const RECONNECT_STABLE_MS = 30000; // 连接稳定超过该时长后重置重试计数
+const RECONNECT_BUFFER_MAX_MS = 60000;
+const KEEPALIVE_CHECK_MS = 1000;
+const KEEPALIVE_SILENCE_MS = 100;
+const SIGNAL_CHECK_MS = 1000;
+const FILE_CHUNK_MS = 100;
+const FILE_TAIL_MS = 2000; // 文件音频发送完后等待最后的结果
+const FILE_PROGRESS_INTERVAL_MS = 250;
+const DEFAULT_CAPTURE_FRAME_MS = 100;
+const MIN_CAPTURE_FRAME_MS = 20;
+const MAX_CAPTURE_FRAME_MS = 1000;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -45,19 +87,114 @@ if (!fs.existsSync(preload)) {
 }
 
 let mainWindow = null;
-let transcriptionSession = null;
-let finalTranscript = "";
+const captionOverlay = createCaptionOverlay({
+    preload,
+    onVisibilityChange: (visible) => {
+        mainWindow?.webContents.send("caption-overlay-visibility", {visible});
+    },
+});
+const segmentTranslator = createSegmentTranslator();
+let settingsWindow = null;
+let transcriptServer = null; // opt-in localhost API, see startLocalApi()
+let webhookDispatcher = null; // posts final segments and session summaries
+let primaryKey = null; // session key that is captioned and translated
+let externalProvidersLoaded = null;
+const transcriptionSessions = new Map(); // session key -> session
+let comparisonMode = false;
+let activeSessionRecord = null;
+let activeRecorder = null; // writes the session's PCM next to its record
+let activeFileStream = null; // {positionMs, cancelled} while a file is streamed
+let activeVoiceGate = null; // drops silent capture audio before the providers
+let channelSpeakers = null; // speaker label per channel while capturing mic + system
+let activeChannelTracker = null; // per-channel energy for providers that get a down-mix
+let activeSignalMonitor = null; // warns when capture has carried no signal for a while
+let signalCheckTimer = null;
+let lastSessionId = null;
+let transcriptPipelines = null; // post-processing profiles, see reloadTranscriptPipelines()
+const pendingSummaries = new Map(); // session id -> meeting summary being generated
 let currentTranscriptionType = null;
 let currentAudioCaptureType = null;
 
-const toAssemblyEncoding = (encoding) => {
-    if (!encoding) return "pcm_s16le";
-    if (encoding.toLowerCase() === "linear16") return "pcm_s16le";
-    return encoding;
+const resolveExternalProviderLocations = () => {
+    const configured = (process.env.TRANSCRIPTION_PROVIDER_PATHS ?? "")
+        .split(path.delimiter)
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+    return [...configured, path.join(app.getPath("userData"), "providers")];
+};
+
+const ensureExternalProvidersLoaded = () => {
+    if (!externalProvidersLoaded) {
+        externalProvidersLoaded = loadExternalProviders(
+            resolveExternalProviderLocations(),
+        ).then((ids) => {
+            if (ids.length) {
+                console.info(`Loaded external transcription providers: ${ids.join(", ")}`);
+            }
+            return ids;
+        });
+    }
+    return externalProvidersLoaded;
+};
+
+const formatProviderLabels = (providers) =>
+    providers.map((provider) => provider.label).join("、");
+
+const parseProviderList = (value) => {
+    if (Array.isArray(value)) {
+        return value.filter((entry) => typeof entry === "string" && entry.trim().length);
+    }
+    if (typeof value !== "string") return [];
+    return value
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Build the ordered provider chain: the selected provider first, followed by
+ * the configured fallbacks that can run on Electron capture.
+ */
+const resolveProviderChain = (transcriptionType, fallbackProviders, language) => {
+    const configured = parseProviderList(fallbackProviders);
+    const fallbacks = configured.length
+        ? configured
+        : parseProviderList(process.env.TRANSCRIPTION_FALLBACK_PROVIDERS);
+    const chain = [transcriptionType];
+
+    for (const id of fallbacks) {
+        if (chain.includes(id)) continue;
+        if (!supportsCaptureType(id, "electron")) {
+            console.warn(`Ignoring fallback transcription provider "${id}".`);
+            continue;
+        }
+        if (!supportsLanguage(id, language)) {
+            console.warn(`Ignoring fallback transcription provider "${id}": language "${language}" is not supported.`);
+            continue;
+        }
+        chain.push(id);
+    }
+
+    return chain;
+};
+
+// Transcript events go to the renderer and to local API clients alike.
+const publishEvent = (channel, payload) => {
+    mainWindow?.webContents.send(channel, payload);
+    transcriptServer?.broadcast(channel, payload);
 };
 
 const sendStatus = (status) => {
-    mainWindow?.webContents.send("status-update", status);
+    publishEvent("status-update", status);
+};
+
+const sendProviderChange = (provider, reason) => {
+    currentTranscriptionType = provider;
+    publishEvent("provider-changed", {
+        provider,
+        label: getProvider(provider)?.label ?? provider,
+        reason,
+    });
 };
 
 const extractTranscriptText = (payload) => {
@@ -81,49 +218,235 @@ const extractTranscriptText = (payload) => {
     return payload.toString?.() ?? "";
 };
 
-const simplifyTranscriptIfNeeded = (text) => {
-    if (!text.length) return text;
-    if (!SIMPLIFIED_TRANSCRIPT_PROVIDERS.has(currentTranscriptionType)) {
-        return text;
+const resolveTranscriptPipelineFile = () =>
+    process.env.TRANSCRIPT_PIPELINE_FILE?.trim() ||
+    path.join(app.getPath("userData"), "pipeline.json");
+
+// A broken pipeline file keeps the previously loaded pipelines.
+const reloadTranscriptPipelines = async () => {
+    try {
+        transcriptPipelines = await loadTranscriptPipelines(resolveTranscriptPipelineFile());
+    } catch (error) {
+        console.error("Failed to load the transcript pipeline:", error);
     }
+};
+
+const resolveTranscriptPipeline = (provider) =>
+    transcriptPipelines?.resolve(
+        process.env.TRANSCRIPT_PIPELINE_PROFILE?.trim() || DEFAULT_PIPELINE_PROFILE,
+        provider,
+    );
 
+const processTranscriptText = (text, provider, {word = false, isFinal = true} = {}) => {
+    const pipeline = resolveTranscriptPipeline(provider);
+    if (!text.length || !pipeline) return text;
     try {
-        return convertToSimpleChinese(text);
+        return word ? pipeline.processWord(text) : pipeline.processText(text, {isFinal});
     } catch (error) {
-        console.error("Failed to convert transcript to simplified Chinese:", error);
+        console.error("Failed to post-process transcript:", error);
         return text;
     }
 };
 
-const emitTranscript = (text, isFinal = false) => {
-    const normalized = simplifyTranscriptIfNeeded(
-        extractTranscriptText(text).trim(),
-    );
-    if (!normalized.length) return;
-    const payload = {
-        text: normalized,
-        isFinal: Boolean(isFinal),
-        provider: currentTranscriptionType,
+// The renderer, caption overlay and local API clients only see the segments
+// of the transcript model; finals are also saved, posted and translated.
+const handleSegmentChange = (event, segment) => {
+    publishEvent(event, segment);
+    if (segment.key === primaryKey) {
+        captionOverlay.send("caption", segment);
+    }
+    if (event !== "segment-finalized") return;
+    publishEvent("transcript-final", {
+        key: segment.key,
+        text: transcriptModel.finalText(segment.key),
+    });
+    if (!activeSessionRecord || !segment.text.length) return;
+    const finalSegment = {
+        id: segment.id,
+        key: segment.key,
+        provider: segment.provider,
+        text: segment.text,
+        words: segment.words,
+        language: segment.language,
+        speaker: segment.speaker,
+        startMs: segment.startMs,
+        endMs: segment.endMs,
     };
-    mainWindow?.webContents.send("transcript", payload);
-    if (isFinal) {
-        if (REPLACING_FINAL_TRANSCRIPT_PROVIDERS.has(currentTranscriptionType)) {
-            finalTranscript = normalized;
-        } else {
-            finalTranscript = `${finalTranscript} ${normalized}`.trim();
-        }
-        mainWindow?.webContents.send("transcript-final", finalTranscript);
+    activeSessionRecord.segments.push(finalSegment);
+    scheduleSessionSave(activeSessionRecord);
+    void webhookDispatcher?.enqueue("segment.final", {
+        sessionId: activeSessionRecord.id,
+        segment: finalSegment,
+    });
+    if (segment.key === primaryKey) {
+        translateFinalSegment(activeSessionRecord, finalSegment);
     }
 };
 
+// Post-processing runs on the merged segment text, so incremental providers
+// are normalized as whole sentences rather than fragment by fragment.
+const transcriptModel = createTranscriptModel({
+    format: (segment, atMs) => ({
+        text: processTranscriptText(segment.text, segment.provider, {isFinal: segment.isFinal}),
+        words: segment.words.map((word) => ({
+            ...word,
+            text: processTranscriptText(word.text ?? "", segment.provider, {word: true}),
+        })),
+        speaker: resolveSegmentSpeaker(segment, segment.startMs, atMs),
+    }),
+    onChange: handleSegmentChange,
+});
+
+const emitTranscript = (result) => {
+    const provider =
+        typeof result?.provider === "string" && result.provider.length
+            ? result.provider
+            : currentTranscriptionType;
+    const key = typeof result?.key === "string" ? result.key : provider;
+    const segment = result && typeof result === "object" ? result : {};
+    transcriptModel.apply(
+        key,
+        {
+            id: segment.id ?? null,
+            text: extractTranscriptText(result).trim(),
+            words: Array.isArray(segment.words) ? segment.words : [],
+            isFinal: Boolean(segment.isFinal),
+            language: segment.language ?? null,
+            speaker: segment.speaker ?? null,
+            channel: segment.channel ?? null,
+        },
+        {
+            provider,
+            partials: getProvider(provider)?.partials,
+            atMs: activeSessionRecord ? resolveSessionOffsetMs() : 0,
+        },
+    );
+};
+
+// Translations arrive after the segment was shown, possibly after the session
+// ended. Late ones are merged into the saved file rather than saving the
+// in-memory record, which would undo a rename or revive a deleted session.
+const translateFinalSegment = (record, segment) => {
+    segmentTranslator
+        .translate(segment)
+        .then(async (translations) => {
+            if (!translations) return;
+            segment.translations = translations;
+            if (record === activeSessionRecord) {
+                scheduleSessionSave(record);
+            } else {
+                const saved = await updateSession(record.id, (session) => {
+                    const target = session.segments?.find((candidate) => candidate.id === segment.id);
+                    if (target) target.translations = translations;
+                });
+                if (!saved) return;
+            }
+            publishEvent("transcript-translation", {
+                sessionId: record.id,
+                id: segment.id,
+                key: segment.key,
+                text: segment.text,
+                speaker: segment.speaker,
+                translations,
+            });
+        })
+        .catch((error) => {
+            console.error("Failed to translate transcript segment:", error);
+        });
+};
+
+const resolveNoAudioWarningMs = () => {
+    const seconds = Number(process.env.NO_AUDIO_WARNING_SECONDS);
+    return seconds > 0 ? seconds * 1000 : DEFAULT_NO_AUDIO_WARNING_MS;
+};
+
+// Duration of the PCM frames the capture worklet posts; shorter frames reach
+// the provider sooner at the cost of more IPC messages.
+const resolveCaptureFrameMs = () => {
+    const frameMs = Number(process.env.CAPTURE_FRAME_MS);
+    return frameMs >= MIN_CAPTURE_FRAME_MS && frameMs <= MAX_CAPTURE_FRAME_MS
+        ? Math.round(frameMs)
+        : DEFAULT_CAPTURE_FRAME_MS;
+};
+
+// A wrong output device or a muted meeting only shows up as silence, so the
+// warning is sent to the renderer and kept in the log file.
+const startSignalMonitor = () => {
+    stopSignalMonitor();
+    const sessionId = activeSessionRecord?.id;
+    activeSignalMonitor = createSignalMonitor({
+        warningMs: resolveNoAudioWarningMs(),
+        onSilent: (silentMs) => {
+            const seconds = Math.round(silentMs / 1000);
+            console.warn(`No audio signal for ${seconds} s.`);
+            logWarning(`No audio signal for ${seconds} s in session ${sessionId}.`);
+            mainWindow?.webContents.send("audio-signal", {present: false, silentMs});
+        },
+        onSignal: () => {
+            logWarning(`Audio signal resumed in session ${sessionId}.`);
+            mainWindow?.webContents.send("audio-signal", {present: true});
+        },
+    });
+    signalCheckTimer = setInterval(() => activeSignalMonitor?.check(), SIGNAL_CHECK_MS);
+};
+
+const stopSignalMonitor = () => {
+    clearInterval(signalCheckTimer);
+    signalCheckTimer = null;
+    activeSignalMonitor = null;
+};
+
+// With mic + system capture the channel names the speaker: reported by
+// multichannel providers, otherwise the channel that was louder meanwhile.
+const resolveSegmentSpeaker = (segment, startMs, endMs) => {
+    if (!channelSpeakers) return segment.speaker ?? null;
+    const channel = segment.channel ?? activeChannelTracker?.dominantChannel(startMs, endMs);
+    return channelSpeakers[channel] ?? segment.speaker ?? null;
+};
+
+// Live sessions are timed by the wall clock; file transcription by the
+// position of the audio streamed so far.
+const resolveSessionOffsetMs = () =>
+    activeFileStream
+        ? activeFileStream.positionMs
+        : Date.now() - Date.parse(activeSessionRecord.startedAt);
+
 const resetTranscriptionState = () => {
-    finalTranscript = "";
+    transcriptModel.reset();
+};
+
+const sendProviderStatus = (key, status) => {
+    mainWindow?.webContents.send("provider-status", {key, status});
+};
+
+/**
+ * Write each provider's final transcript of a comparison run to
+ * `<userData>/comparisons/<timestamp>/` so the results can be diffed.
+ */
+const dumpComparisonTranscripts = async (transcripts) => {
+    const directory = path.join(
+        app.getPath("userData"),
+        "comparisons",
+        new Date().toISOString().replace(/[:.]/g, "-"),
+    );
+    await fs.promises.mkdir(directory, {recursive: true});
+    await Promise.all(
+        Object.entries(transcripts).map(([key, text]) =>
+            fs.promises.writeFile(path.join(directory, `${key}.txt`), `${text}\n`, "utf8"),
+        ),
+    );
+    await fs.promises.writeFile(
+        path.join(directory, "transcripts.json"),
+        JSON.stringify(transcripts, null, 2),
+        "utf8",
+    );
+    return directory;
 };
 
 setRecallRealtimeHandlers({
-    onTranscript: ({text, isFinal}) => {
+    onTranscript: (segment) => {
         if (currentAudioCaptureType !== "recall") return;
-        emitTranscript(text, isFinal);
+        emitTranscript(segment);
     },
     onStatus: (status) => {
         if (currentAudioCaptureType !== "recall") return;
@@ -136,7 +459,40 @@ setRecallRealtimeHandlers({
     },
 });
 
-app.whenReady().then(() => {
+const openSettingsWindow = () => {
+    if (settingsWindow && !settingsWindow.isDestroyed()) {
+        settingsWindow.focus();
+        return;
+    }
+
+    settingsWindow = new BrowserWindow({
+        width: 720,
+        height: 640,
+        title: "设置",
+        parent: mainWindow ?? undefined,
+        autoHideMenuBar: true,
+        webPreferences: {
+            preload,
+            nodeIntegration: false,
+            contextIsolation: true,
+            webSecurity: true,
+        },
+    });
+    settingsWindow.on("closed", () => {
+        settingsWindow = null;
+    });
+    settingsWindow.loadFile("settings.html");
+};
+
+app.whenReady().then(async () => {
+    setHistoryDirectory(path.join(app.getPath("userData"), "history"));
+    await loadSettings(app.getPath("userData"));
+    await reloadTranscriptPipelines();
+    await ensureExternalProvidersLoaded();
+    await startLocalApi();
+    await startWebhooks();
+    registerCaptionShortcut();
+
     mainWindow = new BrowserWindow({
         width: 800,
         height: 600,
@@ -159,6 +515,13 @@ app.whenReady().then(() => {
         mainWindow.webContents.openDevTools({mode: "detach"});
     }
 
+    // The click-through overlay cannot be closed by hand, so it goes with the
+    // main window.
+    mainWindow.on("closed", () => {
+        mainWindow = null;
+        captionOverlay.close();
+    });
+
     mainWindow.loadFile("index.html");
 });
 
@@ -167,76 +530,292 @@ const createElectronTranscriptionSession = async ({
                                                       sampleRate,
                                                       channels,
                                                       encoding,
+                                                      mockScript,
+                                                      language,
+                                                      onStatus,
+                                                      onTranscript,
+                                                      onError,
                                                   }) => {
-    const baseCallbacks = {
-        onStatus: sendStatus,
-        onTranscript: emitTranscript,
-        onError: (error) => {
-            console.error(`${transcriptionType} transcription error:`, error);
-            sendStatus("error");
-        },
+    const provider = getProvider(transcriptionType);
+    if (!provider || !provider.captureTypes.includes("electron")) {
+        throw new Error(
+            `Electron Loopback 暂未实现 "${transcriptionType}" 转写，请先选择 ${formatProviderLabels(getProvidersForCapture("electron"))}。`,
+        );
+    }
+
+    return await provider.create({
+        sampleRate,
+        channels,
+        encoding,
+        language: resolveProviderLanguage(transcriptionType, language),
+        scriptPath: mockScript,
+        onStatus,
+        onTranscript,
+        onError,
+    });
+};
+
+// Feeds a provider without multichannel support a mono down-mix.
+const withMonoDownmix = (session, channels) => ({
+    sendAudio(chunk) {
+        session.sendAudio(downmixToMono(chunk, channels));
+    },
+    keepAlive: typeof session.keepAlive === "function" ? () => session.keepAlive() : undefined,
+    stop: () => session.stop(),
+});
+
+/**
+ * Wrap a provider session so that a dropped connection is re-established with
+ * backoff. Audio received while disconnected is buffered and replayed once the
+ * new provider session is up. When a provider cannot connect, or keeps failing,
+ * the next provider in the chain takes over the same audio stream.
+ */
+const createReconnectingSession = async ({
+                                             providers,
+                                             sampleRate,
+                                             channels,
+                                             encoding,
+                                             mockScript,
+                                             language,
+                                             onStatus,
+                                             onTranscript,
+                                             onProviderChange,
+                                             onGiveUp,
+                                         }) => {
+    const maxBufferedBytes = Math.round(
+        (sampleRate * channels * BYTES_PER_SAMPLE * RECONNECT_BUFFER_MAX_MS) / 1000,
+    );
+    let providerIndex = 0;
+    let session = null;
+    let generation = 0;
+    // `stopping` already blocks reconnects while `stop()` waits for the provider
+    // to flush; `stopped` also drops its transcripts once it has.
+    let stopping = false;
+    let stopped = false;
+    let reconnectTimer = null;
+    let attempts = 0;
+    let connectedAt = 0;
+    let bufferedChunks = [];
+    let bufferedBytes = 0;
+    let lastAudioAt = Date.now();
+    const keepAliveSilence = Buffer.alloc(
+        Math.round((sampleRate * KEEPALIVE_SILENCE_MS) / 1000) * channels * BYTES_PER_SAMPLE,
+    );
+
+    const activeProvider = () => providers[providerIndex];
+    const hasFallback = () => providerIndex < providers.length - 1;
+
+    const bufferChunk = (chunk) => {
+        bufferedChunks.push(chunk);
+        bufferedBytes += chunk.length;
+        while (bufferedBytes > maxBufferedBytes && bufferedChunks.length > 1) {
+            bufferedBytes -= bufferedChunks.shift().length;
+        }
     };
 
-    if (transcriptionType === "assembly") {
-        return await createAssemblyStreamingSession({
-            apiKey: process.env.ASSEMBLY_API_KEY,
-            sampleRate,
-            encoding: toAssemblyEncoding(encoding),
-            ...baseCallbacks,
-        });
-    }
+    const flushBufferedAudio = () => {
+        const chunks = bufferedChunks;
+        bufferedChunks = [];
+        bufferedBytes = 0;
+        for (const chunk of chunks) {
+            session?.sendAudio(chunk);
+        }
+    };
 
-    if (transcriptionType === "deepgram") {
-        return createDeepgramSession({
-            apiKey: process.env.DEEPGRAM_API_KEY,
-            sampleRate,
-            channels,
-            encoding,
-            ...baseCallbacks,
-        });
-    }
+    // With silence gated out, vendors that close idle streams get a keepalive
+    // message, or a little silence when the session has no keepAlive().
+    const keepAlive = () => {
+        const policy = getProvider(activeProvider())?.keepAlive;
+        if (!policy || !session || stopping || Date.now() - lastAudioAt < policy.intervalMs) return;
+        lastAudioAt = Date.now();
+        try {
+            if (typeof session.keepAlive === "function") {
+                session.keepAlive();
+            } else {
+                session.sendAudio(keepAliveSilence);
+            }
+        } catch (error) {
+            console.warn(`Failed to keep ${activeProvider()} transcription alive:`, error);
+        }
+    };
 
-    if (transcriptionType === "gladia") {
-        return await createGladiaSession({
-            apiKey: process.env.GLADIA_API_KEY,
-            sampleRate,
-            channels,
-            encoding,
-            ...baseCallbacks,
-        });
-    }
+    const closeQuietly = (target, provider) => {
+        Promise.resolve()
+            .then(() => target?.stop?.())
+            .catch((error) => {
+                console.warn(`Failed to close dropped ${provider} session:`, error);
+            });
+    };
 
-    if (transcriptionType === "revai") {
-        return await createRevaiSession({
-            apiKey: process.env.REVAI_ACCESS_TOKEN,
-            sampleRate,
-            channels,
-            ...baseCallbacks,
-        });
-    }
+    const switchToNextProvider = (reason) => {
+        const previous = activeProvider();
+        providerIndex += 1;
+        attempts = 0;
+        console.warn(
+            `Switching transcription from ${previous} to ${activeProvider()} (${reason}).`,
+        );
+        onProviderChange?.(activeProvider(), reason);
+    };
 
-    if (transcriptionType === "googleGenai") {
-        return await createGoogleGenaiSession({
-            apiKey: process.env.GOOGLE_GENAI_API_KEY,
+    const scheduleReconnect = () => {
+        if (stopped || stopping || reconnectTimer) return;
+        const maxAttempts = hasFallback()
+            ? RECONNECT_ATTEMPTS_BEFORE_FAILOVER
+            : RECONNECT_MAX_ATTEMPTS;
+        if (attempts >= maxAttempts) {
+            if (!hasFallback()) {
+                console.error(
+                    `${activeProvider()} transcription did not recover after ${attempts} reconnect attempts.`,
+                );
+                onGiveUp?.();
+                return;
+            }
+            switchToNextProvider(`${providers[providerIndex]} failed repeatedly`);
+        }
+
+        const delay =
+            attempts === 0 && providerIndex > 0
+                ? 0
+                : Math.min(
+                    RECONNECT_BASE_DELAY_MS * 2 ** attempts,
+                    RECONNECT_MAX_DELAY_MS,
+                );
+        attempts += 1;
+        onStatus("reconnecting");
+        reconnectTimer = setTimeout(async () => {
+            reconnectTimer = null;
+            try {
+                await connect();
+                flushBufferedAudio();
+            } catch (error) {
+                console.error(
+                    `Failed to reconnect ${activeProvider()} transcription (attempt ${attempts}):`,
+                    error,
+                );
+                scheduleReconnect();
+            }
+        }, delay);
+    };
+
+    const handleDisconnect = (sessionGeneration, reason) => {
+        if (stopped || stopping || sessionGeneration !== generation) return;
+        // Bumping the generation silences any late events from the dropped session.
+        generation += 1;
+        if (connectedAt && Date.now() - connectedAt >= RECONNECT_STABLE_MS) {
+            attempts = 0;
+        }
+        connectedAt = 0;
+        console.warn(`${activeProvider()} transcription ${reason}, reconnecting.`);
+        const dropped = session;
+        session = null;
+        closeQuietly(dropped, activeProvider());
+        scheduleReconnect();
+    };
+
+    const connect = async () => {
+        const sessionGeneration = ++generation;
+        const isCurrent = () => !stopped && sessionGeneration === generation;
+        const provider = activeProvider();
+        const mixDown = channels > 1 && !getProvider(provider)?.multichannel;
+
+        const created = await createElectronTranscriptionSession({
+            transcriptionType: provider,
             sampleRate,
-            channels,
+            channels: mixDown ? 1 : channels,
             encoding,
-            ...baseCallbacks,
+            mockScript,
+            language,
+            onStatus: (status) => {
+                if (stopping || !isCurrent()) return;
+                if (status === "closed" || status === "error") {
+                    handleDisconnect(sessionGeneration, status);
+                    return;
+                }
+                if (status === "connected") {
+                    connectedAt = Date.now();
+                }
+                onStatus(status);
+            },
+            onTranscript: (payload) => {
+                if (!isCurrent()) return;
+                onTranscript({...payload, provider});
+            },
+            onError: (error) => {
+                if (stopping || !isCurrent()) return;
+                console.error(`${provider} transcription error:`, error);
+                handleDisconnect(sessionGeneration, "errored");
+            },
         });
-    }
 
-    if (transcriptionType === "speechmatics") {
-        return await createSpeechmaticsSession({
-            apiKey: process.env.SPEECHMATICS_API_KEY,
-            sampleRate,
-            channels,
-            ...baseCallbacks,
-        });
+        if (stopping || !isCurrent()) {
+            closeQuietly(created, provider);
+            throw new Error(`${provider} session dropped while connecting.`);
+        }
+        session = mixDown ? withMonoDownmix(created, channels) : created;
+    };
+
+    const connectFirstAvailable = async () => {
+        const failures = [];
+        while (!stopped) {
+            try {
+                await connect();
+                return;
+            } catch (error) {
+                console.error(`Failed to start ${activeProvider()} transcription:`, error);
+                failures.push(`${activeProvider()}: ${error.message}`);
+                if (!hasFallback()) break;
+                switchToNextProvider(`${activeProvider()} failed to connect`);
+            }
+        }
+        throw new Error(
+            failures.length > 1
+                ? `所有转写提供商均无法连接：${failures.join("; ")}`
+                : (failures[0] ?? "Transcription session stopped while connecting."),
+        );
+    };
+
+    try {
+        await connectFirstAvailable();
+    } catch (error) {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        throw error;
     }
+    const keepAliveTimer = setInterval(keepAlive, KEEPALIVE_CHECK_MS);
 
-    throw new Error(
-        `Electron Loopback 暂未实现 "${transcriptionType}" 转写，请先选择 Deepgram、AssemblyAI、Gladia、Rev.ai、Speechmatics 或 Google GenAI。`,
-    );
+    return {
+        get provider() {
+            return activeProvider();
+        },
+        sendAudio(chunk) {
+            if (stopping || stopped) return;
+            lastAudioAt = Date.now();
+            if (!session) {
+                bufferChunk(chunk);
+                return;
+            }
+            session.sendAudio(chunk);
+        },
+        async stop() {
+            stopping = true;
+            clearInterval(keepAliveTimer);
+            if (reconnectTimer) {
+                clearTimeout(reconnectTimer);
+                reconnectTimer = null;
+            }
+            bufferedChunks = [];
+            bufferedBytes = 0;
+            const active = session;
+            session = null;
+            try {
+                // Finals the provider flushes while closing are still delivered.
+                await active?.stop();
+            } finally {
+                stopped = true;
+            }
+        },
+    };
 };
 
 const startTranscriptionSession = async ({
@@ -245,15 +824,61 @@ const startTranscriptionSession = async ({
                                              encoding = DEFAULT_ENCODING,
                                              transcriptionType = "deepgram",
                                              audioCaptureType = "electron",
+                                             mockScript,
+                                             fallbackProviders,
+                                             compareProviders,
+                                             language = DEFAULT_LANGUAGE,
+                                             recordAudio = null,
+                                             sourceFile = null,
+                                             voiceActivityDetection = false,
+                                             captureSource = "system",
                                          }) => {
     resetTranscriptionState();
+    // Edits to the pipeline file apply from the next session on.
+    await reloadTranscriptPipelines();
+    activeVoiceGate = null;
+    channelSpeakers = null;
+    activeChannelTracker = null;
     currentTranscriptionType = transcriptionType;
     currentAudioCaptureType = audioCaptureType;
+    const comparedProviders = resolveComparedProviders(compareProviders);
+    comparisonMode = comparedProviders.length > 1;
+    if (audioCaptureType === "file" && !supportsCaptureType(transcriptionType, "electron")) {
+        throw new Error(`${getProvider(transcriptionType)?.label ?? transcriptionType} 不支持文件转写。`);
+    }
+    for (const id of comparisonMode ? comparedProviders : [transcriptionType]) {
+        // Refuse up front with the provider's own message instead of failing
+        // somewhere inside the vendor SDK.
+        resolveProviderLanguage(id, language);
+    }
+    // Comparison runs caption and translate the first compared provider only.
+    primaryKey = comparisonMode ? comparedProviders[0] : transcriptionType;
+    captionOverlay.send("caption-reset");
+    activeSessionRecord = createSessionRecord({
+        provider: transcriptionType,
+        providers: comparisonMode ? comparedProviders : [transcriptionType],
+        audioCaptureType,
+        language,
+        sourceFile,
+    });
+
+    if (captureSource === "microphone" && audioCaptureType === "electron") {
+        if (channels !== CHANNEL_SPEAKERS.length) {
+            throw new Error(`麦克风 + 系统音频需要 ${CHANNEL_SPEAKERS.length} 声道音频。`);
+        }
+        channelSpeakers = CHANNEL_SPEAKERS;
+        activeChannelTracker = createChannelEnergyTracker({sampleRate, channels});
+    }
+
+    // Recall delivers audio to its own bot, so only Electron capture is recorded.
+    if (recordAudio && audioCaptureType === "electron") {
+        await startAudioRecording({format: recordAudio, sampleRate, channels, encoding});
+    }
 
     if (audioCaptureType === "recall") {
-        if (!RECALL_SUPPORTED_PROVIDERS.has(transcriptionType)) {
+        if (!supportsCaptureType(transcriptionType, "recall")) {
             throw new Error(
-                "使用 Recall 录音时只能选择 AssemblyAI 或 Deepgram 作为实时转写提供商。",
+                `使用 Recall 录音时只能选择 ${formatProviderLabels(getProvidersForCapture("recall"))} 作为实时转写提供商。`,
             );
         }
         if (!isRecallRecordingActive()) {
@@ -261,8 +886,11 @@ const startTranscriptionSession = async ({
                 "Recall capture is not active. Start Recall recording before transcription.",
             );
         }
+        if (comparisonMode) {
+            throw new Error("Recall 录音不支持多提供商对比模式。");
+        }
         sendStatus("connected");
-        transcriptionSession = {
+        transcriptionSessions.set(transcriptionType, {
             audioCaptureType,
             provider: transcriptionType,
             sendAudio() {
@@ -270,44 +898,281 @@ const startTranscriptionSession = async ({
             async stop() {
                 await stopRecallRecording();
             },
-        };
+        });
         return;
     }
 
-    const session = await createElectronTranscriptionSession({
-        transcriptionType,
-        sampleRate,
-        channels,
-        encoding,
+    if (audioCaptureType === "electron") {
+        startSignalMonitor();
+    }
+
+    if (voiceActivityDetection && audioCaptureType === "electron") {
+        activeVoiceGate = createVoiceGate({
+            sampleRate,
+            channels,
+            onChange: (speaking) => {
+                mainWindow?.webContents.send("voice-activity", {speaking});
+            },
+        });
+    }
+
+    const sessionOptions = {sampleRate, channels, encoding, mockScript, language};
+
+    if (comparisonMode) {
+        await startComparisonSessions(comparedProviders, sessionOptions);
+        return;
+    }
+
+    const session = await createReconnectingSession({
+        ...sessionOptions,
+        providers: resolveProviderChain(transcriptionType, fallbackProviders, language),
+        onStatus: sendStatus,
+        onTranscript: (payload) =>
+            emitTranscript({...payload, key: transcriptionType}),
+        onProviderChange: sendProviderChange,
+        onGiveUp: () => {
+            void handleProviderFailure();
+        },
     });
 
-    transcriptionSession = {
+    transcriptionSessions.set(transcriptionType, {
         audioCaptureType,
-        provider: transcriptionType,
+        get provider() {
+            return session.provider;
+        },
         sendAudio(chunk) {
             session.sendAudio(chunk);
         },
         async stop() {
             await session.stop();
         },
+    });
+};
+
+const resolveComparedProviders = (compareProviders) => {
+    const compared = [];
+    for (const id of parseProviderList(compareProviders)) {
+        if (compared.includes(id)) continue;
+        if (!supportsCaptureType(id, "electron")) {
+            console.warn(`Ignoring compared transcription provider "${id}".`);
+            continue;
+        }
+        compared.push(id);
+    }
+    return compared;
+};
+
+/**
+ * Comparison mode: every provider gets its own reconnecting session fed with
+ * the same audio. Events are keyed by provider so the renderer can show one
+ * column each; a provider that gives up is dropped without affecting the rest.
+ */
+const startComparisonSessions = async (providers, sessionOptions) => {
+    let announcedConnected = false;
+
+    const dropComparedSession = async (key) => {
+        const session = transcriptionSessions.get(key);
+        transcriptionSessions.delete(key);
+        sendProviderStatus(key, "error");
+        try {
+            await session?.stop();
+        } catch (error) {
+            console.error(`Failed to stop ${key} comparison session:`, error);
+        }
+        if (comparisonMode && transcriptionSessions.size === 0) {
+            await handleProviderFailure();
+        }
     };
+
+    const results = await Promise.allSettled(
+        providers.map(async (key) => {
+            const session = await createReconnectingSession({
+                ...sessionOptions,
+                providers: [key],
+                onStatus: (status) => {
+                    sendProviderStatus(key, status);
+                    if (status === "connected" && !announcedConnected) {
+                        announcedConnected = true;
+                        sendStatus("connected");
+                    }
+                },
+                onTranscript: (payload) => emitTranscript({...payload, key}),
+                onGiveUp: () => {
+                    void dropComparedSession(key);
+                },
+            });
+            transcriptionSessions.set(key, {
+                audioCaptureType: "electron",
+                provider: key,
+                sendAudio(chunk) {
+                    session.sendAudio(chunk);
+                },
+                async stop() {
+                    await session.stop();
+                },
+            });
+        }),
+    );
+
+    const failures = [];
+    results.forEach((result, index) => {
+        if (result.status === "rejected") {
+            console.error(`Failed to start ${providers[index]} comparison session:`, result.reason);
+            sendProviderStatus(providers[index], "error");
+            failures.push(`${providers[index]}: ${result.reason?.message ?? result.reason}`);
+        }
+    });
+
+    if (transcriptionSessions.size === 0) {
+        throw new Error(`对比模式下所有转写提供商均无法连接：${failures.join("; ")}`);
+    }
 };
 
-const stopTranscriptionSession = async () => {
-    if (!transcriptionSession) return;
+const startAudioRecording = async ({format, sampleRate, channels, encoding}) => {
+    if (encoding !== DEFAULT_ENCODING) {
+        throw new Error(`无法录制 ${encoding} 编码的音频。`);
+    }
+    const filePath = resolveSessionAudioFile(activeSessionRecord.id, format);
+    activeRecorder = await createAudioRecorder({filePath, format, sampleRate, channels});
+    activeSessionRecord.audio = {
+        file: path.basename(filePath),
+        format,
+        sampleRate,
+        channels,
+    };
+};
+
+const finishAudioRecording = async () => {
+    const recorder = activeRecorder;
+    activeRecorder = null;
+    try {
+        await recorder?.close();
+    } catch (error) {
+        console.error("Failed to finish audio recording:", error);
+    }
+};
+
+const finishSessionRecord = async () => {
+    await finishAudioRecording();
+    const record = activeSessionRecord;
+    activeSessionRecord = null;
+    if (!record) return;
+    lastSessionId = record.id;
+    record.endedAt = new Date().toISOString();
     try {
-        await transcriptionSession.stop?.();
+        await saveSession(record);
+        mainWindow?.webContents.send("history-updated", {id: record.id});
     } catch (error) {
-        console.error("Failed to stop transcription session:", error);
+        console.error("Failed to save transcription session:", error);
+    }
+    void webhookDispatcher?.enqueue("session.ended", {session: summarizeSessionForWebhook(record)});
+    if (process.env.SUMMARY_AUTO === "1" && record.segments.length) {
+        summarizeSessionRecord(record).catch((error) => {
+            console.error("Failed to summarize session:", error);
+        });
+    }
+};
+
+/**
+ * Generate meeting notes for a finished session, save them with the record
+ * and publish them as `session-summary`. Concurrent requests for one session
+ * share the same generation.
+ */
+const summarizeSessionRecord = (record) => {
+    if (!pendingSummaries.has(record.id)) {
+        const pending = generateMeetingSummary(record)
+            .then(async (summary) => {
+                // Generation takes a while; merge into the saved file so a
+                // rename or delete made meanwhile is kept.
+                const saved = await updateSession(record.id, (session) => {
+                    session.summary = summary;
+                });
+                if (!saved) {
+                    throw new Error("会议记录已被删除。");
+                }
+                mainWindow?.webContents.send("history-updated", {id: saved.id});
+                publishEvent("session-summary", {
+                    sessionId: saved.id,
+                    summary,
+                    markdown: toSummaryMarkdown(saved),
+                });
+                return saved;
+            })
+            .finally(() => pendingSummaries.delete(record.id));
+        pendingSummaries.set(record.id, pending);
+    }
+    return pendingSummaries.get(record.id);
+};
+
+const summarizeSessionForWebhook = (record) => ({
+    id: record.id,
+    title: record.title,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    provider: record.provider,
+    providers: record.providers,
+    audioCaptureType: record.audioCaptureType,
+    language: record.language,
+    sourceFile: record.sourceFile ?? null,
+    audio: record.audio ?? null,
+    speakerNames: record.speakerNames,
+    segmentCount: record.segments.length,
+    text: record.segments.map((segment) => segment.text).join("\n"),
+});
+
+const stopProviderSessions = async () => {
+    const sessions = [...transcriptionSessions.entries()];
+    transcriptionSessions.clear();
+    await Promise.all(
+        sessions.map(async ([key, session]) => {
+            try {
+                await session.stop?.();
+            } catch (error) {
+                console.error(`Failed to stop ${key} transcription session:`, error);
+            }
+        }),
+    );
+};
+
+const stopTranscriptionSession = async () => {
+    if (activeFileStream) {
+        activeFileStream.cancelled = true;
+    }
+    if (!transcriptionSessions.size && !activeRecorder) {
+        activeFileStream = null;
+        return;
+    }
+    try {
+        // Finals flushed while stopping still use the file position.
+        await stopProviderSessions();
     } finally {
-        transcriptionSession = null;
+        activeFileStream = null;
+        activeVoiceGate = null;
+        channelSpeakers = null;
+        activeChannelTracker = null;
+        stopSignalMonitor();
         currentAudioCaptureType = null;
         currentTranscriptionType = null;
+        await finishSessionRecord();
+    }
+};
+
+/**
+ * Every provider gave up. While recording, capture keeps going so the audio
+ * is not lost; otherwise the session ends.
+ */
+const handleProviderFailure = async () => {
+    if (activeRecorder) {
+        await stopProviderSessions();
+        sendStatus("recording-only");
+        return;
     }
+    await stopTranscriptionSession();
+    sendStatus("error");
 };
 
 ipcMain.on("start-transcription", async (_, options = {}) => {
-    if (transcriptionSession) {
+    if (transcriptionSessions.size || activeRecorder) {
         console.warn("Transcription already in progress.");
         return;
     }
@@ -329,21 +1194,51 @@ ipcMain.on("start-transcription", async (_, options = {}) => {
                     : DEFAULT_ENCODING,
             transcriptionType: options.transcriptionType || "deepgram",
             audioCaptureType: options.audioCaptureType || "electron",
+            mockScript:
+                typeof options.mockScript === "string"
+                    ? options.mockScript
+                    : undefined,
+            fallbackProviders: options.fallbackProviders,
+            compareProviders: options.compareProviders,
+            language:
+                typeof options.language === "string" && options.language.length
+                    ? options.language
+                    : DEFAULT_LANGUAGE,
+            recordAudio: AUDIO_RECORDING_FORMATS.includes(options.recordAudio)
+                ? options.recordAudio
+                : null,
+            voiceActivityDetection: options.voiceActivityDetection === true,
+            captureSource: options.captureSource === "microphone" ? "microphone" : "system",
         });
     } catch (error) {
         console.error("Failed to start transcription session:", error);
-        sendStatus("error");
-        mainWindow?.webContents.send("transcript", {
-            text: "",
-            isFinal: false,
-            provider: currentTranscriptionType,
+        if (activeRecorder) {
+            await stopProviderSessions();
+            sendStatus("recording-only");
+        } else {
+            stopSignalMonitor();
+            activeSessionRecord = null;
+            sendStatus("error");
+        }
+        mainWindow?.webContents.send("transcription-error", {
+            message: error.message,
         });
     }
 });
 
+const toAudioBuffer = (data) => {
+    if (data instanceof ArrayBuffer) {
+        return Buffer.from(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return Buffer.from(data);
+};
+
 ipcMain.on("audio-chunk", (_, buffer) => {
     if (
-        !transcriptionSession ||
+        (!transcriptionSessions.size && !activeRecorder) ||
         currentAudioCaptureType !== "electron" ||
         !buffer
     ) {
@@ -351,28 +1246,401 @@ ipcMain.on("audio-chunk", (_, buffer) => {
     }
 
     try {
-        let chunk;
-        if (buffer instanceof ArrayBuffer) {
-            chunk = Buffer.from(buffer);
-        } else if (ArrayBuffer.isView(buffer)) {
-            chunk = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
-        } else {
-            chunk = Buffer.from(buffer);
-        }
+        const chunk = toAudioBuffer(buffer);
 
         if (chunk.length > 0) {
-            transcriptionSession.sendAudio(chunk);
+            // The recording keeps the silence; providers only get speech.
+            activeRecorder?.write(chunk);
+            activeChannelTracker?.push(chunk, resolveSessionOffsetMs());
+            activeSignalMonitor?.push(chunk);
+            const forwarded = activeVoiceGate ? activeVoiceGate.push(chunk) : [chunk];
+            for (const voiced of forwarded) {
+                for (const session of transcriptionSessions.values()) {
+                    session.sendAudio(voiced);
+                }
+            }
         }
     } catch (error) {
         console.error("Failed to forward audio chunk:", error);
     }
 });
 
-ipcMain.on("stop-transcription", async () => {
+/**
+ * End the session and publish what it produced: final transcripts and, in
+ * comparison mode, the per-provider transcript files.
+ */
+const finishTranscription = async () => {
+    const wasComparing = comparisonMode;
     await stopTranscriptionSession();
+    comparisonMode = false;
     sendStatus("stopped");
-    if (finalTranscript) {
-        mainWindow?.webContents.send("transcript-final", finalTranscript);
+    const transcripts = transcriptModel.finalTexts();
+    for (const [key, text] of Object.entries(transcripts)) {
+        publishEvent("transcript-final", {key, text});
+    }
+
+    if (wasComparing && Object.keys(transcripts).length) {
+        try {
+            const directory = await dumpComparisonTranscripts(transcripts);
+            mainWindow?.webContents.send("comparison-complete", {
+                directory,
+                transcripts,
+            });
+        } catch (error) {
+            console.error("Failed to write comparison transcripts:", error);
+        }
+    }
+};
+
+ipcMain.on("stop-transcription", async () => {
+    await finishTranscription();
+});
+
+/**
+ * Commands from local API clients. Starting goes through the renderer, which
+ * owns audio capture and sends `start-transcription` as if 开始监听 was clicked.
+ */
+const handleLocalApiCommand = async (command, options) => {
+    const running = transcriptionSessions.size > 0 || Boolean(activeRecorder);
+    if (command === "stop") {
+        if (!running) {
+            return {success: false, message: "No transcription in progress."};
+        }
+        await finishTranscription();
+        return {success: true, message: "Transcription stopped."};
+    }
+
+    if (running) {
+        return {success: false, message: "Transcription already in progress."};
+    }
+    if (!mainWindow) {
+        return {success: false, message: "The main window is not open."};
+    }
+    const transcriptionType =
+        typeof options.transcriptionType === "string" ? options.transcriptionType : undefined;
+    const language = typeof options.language === "string" ? options.language : undefined;
+    if (transcriptionType && !getProvider(transcriptionType)) {
+        return {success: false, message: `Unknown transcription provider "${transcriptionType}".`};
+    }
+    if (transcriptionType && language && !supportsLanguage(transcriptionType, language)) {
+        return {success: false, message: `${transcriptionType} does not support language "${language}".`};
+    }
+    mainWindow.webContents.send("remote-start", {transcriptionType, language});
+    return {success: true, message: "Starting transcription; follow status-update events."};
+};
+
+const startLocalApi = async () => {
+    const port = Number(process.env.LOCAL_API_PORT);
+    if (!Number.isInteger(port) || port <= 0) return;
+    try {
+        transcriptServer = await startTranscriptServer({
+            port,
+            token: process.env.LOCAL_API_TOKEN,
+            onCommand: handleLocalApiCommand,
+        });
+        console.info(`Local transcript API listening on http://127.0.0.1:${transcriptServer.port}`);
+    } catch (error) {
+        console.error("Failed to start the local transcript API:", error);
+    }
+};
+
+const startWebhooks = async () => {
+    webhookDispatcher = createWebhookDispatcher({
+        directory: path.join(app.getPath("userData"), "webhooks"),
+        // Read on every event, so settings changes apply without a restart.
+        resolveConfig: () => ({
+            urls: parseWebhookUrls(process.env.WEBHOOK_URLS),
+            secret: process.env.WEBHOOK_SECRET,
+        }),
+    });
+    await webhookDispatcher.start();
+};
+
+const registerCaptionShortcut = () => {
+    const accelerator = process.env.CAPTION_SHORTCUT || DEFAULT_CAPTION_SHORTCUT;
+    try {
+        if (!globalShortcut.register(accelerator, () => captionOverlay.toggle())) {
+            console.warn(`Caption overlay shortcut ${accelerator} is taken by another app.`);
+        }
+    } catch (error) {
+        console.error(`Invalid caption overlay shortcut "${accelerator}":`, error);
+    }
+};
+
+ipcMain.handle("toggle-caption-overlay", () => {
+    try {
+        return {success: true, visible: captionOverlay.toggle()};
+    } catch (error) {
+        console.error("Failed to toggle the caption overlay:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("caption-style-get", () => resolveCaptionStyle());
+
+ipcMain.handle("capture-options-get", () => ({frameMs: resolveCaptureFrameMs()}));
+
+app.on("will-quit", () => {
+    globalShortcut.unregisterAll();
+    const server = transcriptServer;
+    transcriptServer = null;
+    void server?.close();
+    // Undelivered webhooks stay queued on disk for the next start.
+    void webhookDispatcher?.stop();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Feed decoded file audio to the running provider sessions in 100 ms chunks,
+ * paced at `speed` times real time, then finish the session once the last
+ * results had time to arrive. Stopping the session cancels the stream.
+ */
+const streamFileAudio = async ({pcm, sampleRate, speed, name}) => {
+    const stream = {positionMs: 0, cancelled: false};
+    activeFileStream = stream;
+    const bytesPerMs = (sampleRate * BYTES_PER_SAMPLE) / 1000;
+    const chunkBytes = Math.round((sampleRate * FILE_CHUNK_MS) / 1000) * BYTES_PER_SAMPLE;
+    const durationMs = pcm.length / bytesPerMs;
+    const startedAt = Date.now();
+    let lastProgressAt = 0;
+
+    const sendProgress = () => {
+        lastProgressAt = Date.now();
+        mainWindow?.webContents.send("file-transcription-progress", {
+            name,
+            positionMs: Math.round(stream.positionMs),
+            durationMs: Math.round(durationMs),
+        });
+    };
+
+    for (let offset = 0; offset < pcm.length && !stream.cancelled; offset += chunkBytes) {
+        const chunk = pcm.subarray(offset, offset + chunkBytes);
+        for (const session of transcriptionSessions.values()) {
+            session.sendAudio(chunk);
+        }
+        stream.positionMs = (offset + chunk.length) / bytesPerMs;
+        if (Date.now() - lastProgressAt >= FILE_PROGRESS_INTERVAL_MS) {
+            sendProgress();
+        }
+        // Pace against the start time so timer drift does not add up.
+        await sleep(Math.max(0, startedAt + stream.positionMs / speed - Date.now()));
+    }
+    if (stream.cancelled) return;
+    sendProgress();
+    await sleep(FILE_TAIL_MS);
+    if (stream.cancelled) return;
+    await finishTranscription();
+};
+
+ipcMain.handle("transcribe-file", async (_, options = {}) => {
+    if (transcriptionSessions.size || activeRecorder) {
+        return {success: false, message: "已有转写正在进行，请先停止。"};
+    }
+
+    const sampleRate = Number(options.sampleRate);
+    const transcriptionType = options.transcriptionType || "deepgram";
+    const name = typeof options.name === "string" ? options.name : null;
+    try {
+        if (!options.pcm || !(sampleRate > 0)) {
+            throw new Error("音频数据无效。");
+        }
+        const pcm = toAudioBuffer(options.pcm);
+        sendStatus("connecting");
+        await startTranscriptionSession({
+            sampleRate,
+            channels: 1,
+            encoding: DEFAULT_ENCODING,
+            transcriptionType,
+            audioCaptureType: "file",
+            mockScript:
+                typeof options.mockScript === "string"
+                    ? options.mockScript
+                    : undefined,
+            fallbackProviders: options.fallbackProviders,
+            language:
+                typeof options.language === "string" && options.language.length
+                    ? options.language
+                    : DEFAULT_LANGUAGE,
+            sourceFile: name,
+        });
+        const {speed} = getProvider(transcriptionType).fileStreaming;
+        void streamFileAudio({pcm, sampleRate, speed, name}).catch(async (error) => {
+            console.error("Failed to stream audio file:", error);
+            await stopTranscriptionSession();
+            sendStatus("error");
+        });
+        return {success: true};
+    } catch (error) {
+        console.error("Failed to start file transcription:", error);
+        activeSessionRecord = null;
+        sendStatus("error");
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("get-transcription-providers", async () => {
+    await ensureExternalProvidersLoaded();
+    return describeProviders();
+});
+
+ipcMain.handle("get-mock-scripts", () => listMockScripts());
+
+ipcMain.handle("open-settings", () => {
+    openSettingsWindow();
+});
+
+ipcMain.handle("settings-get", async () => {
+    try {
+        await ensureExternalProvidersLoaded();
+        return {
+            success: true,
+            encryptionAvailable: safeStorage.isEncryptionAvailable(),
+            groups: describeSettings(describeProviders()),
+        };
+    } catch (error) {
+        console.error("Failed to read settings:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("settings-save", async (_, changes = {}) => {
+    try {
+        await ensureExternalProvidersLoaded();
+        await updateSettings(changes, describeProviders());
+        captionOverlay.applyStyle();
+        await reloadTranscriptPipelines();
+        if ("WEBHOOK_URLS" in changes) {
+            await webhookDispatcher?.refresh();
+        }
+        return {success: true};
+    } catch (error) {
+        console.error("Failed to save settings:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("history-list", async (_, options = {}) => {
+    try {
+        return {success: true, sessions: await listSessions(options)};
+    } catch (error) {
+        console.error("Failed to list transcription history:", error);
+        return {success: false, message: error.message, sessions: []};
+    }
+});
+
+ipcMain.handle("history-get", async (_, id) => {
+    try {
+        return {success: true, session: await getSession(id)};
+    } catch (error) {
+        console.error("Failed to read transcription session:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("history-rename", async (_, id, title) => {
+    try {
+        if (activeSessionRecord?.id === id) {
+            // The running session may not be on disk yet; rename it in memory.
+            const normalizedTitle = title?.toString?.().trim?.() ?? "";
+            if (!normalizedTitle.length) {
+                throw new Error("Session title cannot be empty.");
+            }
+            activeSessionRecord.title = normalizedTitle;
+            await saveSession(activeSessionRecord);
+            return {success: true, session: {id, title: normalizedTitle}};
+        }
+        return {success: true, session: await renameSession(id, title)};
+    } catch (error) {
+        console.error("Failed to rename transcription session:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("rename-speaker", async (_, {id, speaker, name} = {}) => {
+    try {
+        if (activeSessionRecord && (!id || activeSessionRecord.id === id)) {
+            const speakerNames = applySpeakerName(activeSessionRecord, speaker, name);
+            scheduleSessionSave(activeSessionRecord);
+            return {success: true, speakerNames};
+        }
+        const targetId = id || lastSessionId;
+        if (!targetId) {
+            throw new Error("No transcription session to rename speakers in.");
+        }
+        return {success: true, speakerNames: await renameSpeaker(targetId, speaker, name)};
+    } catch (error) {
+        console.error("Failed to rename speaker:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("history-delete", async (_, id) => {
+    try {
+        if (activeSessionRecord?.id === id) {
+            throw new Error("Cannot delete the session that is still recording.");
+        }
+        await deleteSession(id);
+        return {success: true};
+    } catch (error) {
+        console.error("Failed to delete transcription session:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+const resolveExportSession = async (id) => {
+    if (activeSessionRecord && (!id || activeSessionRecord.id === id)) {
+        return activeSessionRecord;
+    }
+    const targetId = id || lastSessionId;
+    if (!targetId) {
+        throw new Error("没有可导出的转录记录。");
+    }
+    return await getSession(targetId);
+};
+
+ipcMain.handle("summarize-session", async (_, {id, regenerate = false} = {}) => {
+    try {
+        let session = await resolveExportSession(id);
+        if (session === activeSessionRecord) {
+            throw new Error("请在转录结束后再生成会议纪要。");
+        }
+        if (!session.summary || regenerate) {
+            session = await summarizeSessionRecord(session);
+        }
+        return {
+            success: true,
+            id: session.id,
+            summary: session.summary,
+            markdown: toSummaryMarkdown(session),
+        };
+    } catch (error) {
+        console.error("Failed to summarize session:", error);
+        return {success: false, message: error.message};
+    }
+});
+
+ipcMain.handle("export-transcript", async (_, {id, format = "srt"} = {}) => {
+    try {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        const session = await resolveExportSession(id);
+        const safeTitle = (session.title || "transcript").replace(/[\\/:*?"<>|]/g, "_");
+        const {canceled, filePath} = await dialog.showSaveDialog(mainWindow, {
+            title: "导出转录",
+            defaultPath: `${safeTitle}.${exportFormat.extension}`,
+            filters: [{name: exportFormat.label, extensions: [exportFormat.extension]}],
+        });
+        if (canceled || !filePath) {
+            return {success: false, canceled: true};
+        }
+        await fs.promises.writeFile(filePath, await renderTranscriptExport(session, format));
+        return {success: true, filePath};
+    } catch (error) {
+        console.error("Failed to export transcript:", error);
+        return {success: false, message: error.message};
     }
 });
 
@@ -48,6 +48,14 @@ export const logError = (...payload) => {
 	appendToLogFile(`[${timestamp}] ${message}`);
 };
 
+// Warnings are not mirrored from console.warn, so callers log the ones worth
+// keeping explicitly.
+export const logWarning = (...payload) => {
+	const timestamp = new Date().toISOString();
+	const message = payload.map(serializePayload).join(" ");
+	appendToLogFile(`[${timestamp}] [warn] ${message}`);
+};
+
 export const setupProcessErrorLogging = () => {
 	const originalConsoleError = console.error.bind(console);
 	console.error = (...args) => {
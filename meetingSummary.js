@@ -0,0 +1,124 @@
+import fs from "node:fs";
+import { resolveSpeakerName } from "./transcriptExport.js";
+import { generateGoogleGenaiText } from "./transcription/googleGenai.js";
+
+export const DEFAULT_SUMMARY_PROMPT = `你是会议记录助手。请根据下面的会议转录整理会议纪要，使用会议中的主要语言。
+只输出 JSON，格式如下：
+{"summary": "会议要点概述", "actionItems": [{"task": "待办事项", "owner": "负责人，未提及则为 null", "due": "截止时间，未提及则为 null"}], "decisions": ["已做出的决定"], "openQuestions": ["尚未解决的问题"]}
+没有的内容用空数组，不要编造转录中没有的信息。
+
+会议：{{title}}（{{date}}）
+转录：
+{{transcript}}`;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formatOffset = (ms) => {
+	const totalSeconds = Math.max(0, Math.floor((ms ?? 0) / 1000));
+	return `${pad(Math.floor(totalSeconds / 60))}:${pad(totalSeconds % 60)}`;
+};
+
+const formatTranscript = (session) =>
+	(session.segments ?? [])
+		.filter((segment) => segment?.text?.trim?.().length)
+		.map((segment) => {
+			const speaker = resolveSpeakerName(session, segment);
+			const time = Number.isFinite(segment.startMs)
+				? `[${formatOffset(segment.startMs)}] `
+				: "";
+			return `${time}${speaker ? `${speaker}: ` : ""}${segment.text.trim()}`;
+		})
+		.join("\n");
+
+// `SUMMARY_PROMPT_FILE` is meant for longer templates than fit in a setting.
+const resolvePromptTemplate = async () => {
+	const file = process.env.SUMMARY_PROMPT_FILE?.trim?.();
+	if (file) {
+		return await fs.promises.readFile(file, "utf8");
+	}
+	return process.env.SUMMARY_PROMPT?.trim?.() || DEFAULT_SUMMARY_PROMPT;
+};
+
+const fillTemplate = (template, values) =>
+	template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+		Object.hasOwn(values, name) ? values[name] : placeholder,
+	);
+
+const toStringList = (value) =>
+	Array.isArray(value)
+		? value
+				.map((item) => item?.toString?.().trim?.() ?? "")
+				.filter((item) => item.length)
+		: [];
+
+const toOptionalString = (value) => {
+	const text = value?.toString?.().trim?.() ?? "";
+	return text.length ? text : null;
+};
+
+const parseSummaryResponse = (text) => {
+	const json = text
+		.replace(/^```(?:json)?\s*/i, "")
+		.replace(/\s*```$/, "")
+		.trim();
+	let parsed;
+	try {
+		parsed = JSON.parse(json);
+	} catch {
+		// Prose answers are kept whole as the summary.
+		return { summary: text, actionItems: [], decisions: [], openQuestions: [] };
+	}
+	return {
+		summary: toOptionalString(parsed?.summary) ?? "",
+		actionItems: (Array.isArray(parsed?.actionItems) ? parsed.actionItems : [])
+			.map((item) =>
+				typeof item === "string"
+					? { task: item.trim(), owner: null, due: null }
+					: {
+							task: toOptionalString(item?.task) ?? "",
+							owner: toOptionalString(item?.owner),
+							due: toOptionalString(item?.due),
+						},
+			)
+			.filter((item) => item.task.length),
+		decisions: toStringList(parsed?.decisions),
+		openQuestions: toStringList(parsed?.openQuestions),
+	};
+};
+
+/**
+ * Ask Gemini for meeting notes on a finished session. The prompt template
+ * comes from `SUMMARY_PROMPT_FILE`, `SUMMARY_PROMPT` or the default, with
+ * `{{title}}`, `{{date}}`, `{{language}}` and `{{transcript}}` filled in.
+ * @param {Object} session Session record from sessionHistory.js
+ * @returns {Promise<{generatedAt: string; summary: string; actionItems: Array<{task: string; owner: string | null; due: string | null}>; decisions: string[]; openQuestions: string[]}>}
+ */
+export async function generateMeetingSummary(session) {
+	const transcript = formatTranscript(session);
+	if (!transcript.length) {
+		throw new Error("会议没有转录内容，无法生成纪要。");
+	}
+	const template = await resolvePromptTemplate();
+	const prompt = fillTemplate(template, {
+		title: session.title ?? "",
+		date: session.startedAt ? new Date(session.startedAt).toLocaleString() : "",
+		language: session.language ?? "",
+		transcript,
+	});
+	const text = await generateGoogleGenaiText({
+		prompt,
+		modelId: process.env.SUMMARY_MODEL?.trim?.() || undefined,
+		// Custom templates may ask for Markdown instead of JSON.
+		generationConfig:
+			template === DEFAULT_SUMMARY_PROMPT
+				? { responseMimeType: "application/json" }
+				: undefined,
+	});
+	if (!text.length) {
+		throw new Error("Gemini 没有返回会议纪要。");
+	}
+	return {
+		generatedAt: new Date().toISOString(),
+		...parseSummaryResponse(text),
+	};
+}
@@ -0,0 +1,65 @@
+const api = window.electronAPI;
+const captionsEl = document.getElementById("captions");
+
+// Finished lines kept for display; older ones scroll out of the window anyway.
+const MAX_FINAL_LINES = 10;
+
+let finalLines = [];
+let partialLine = null;
+
+const formatLine = ({ text, speaker }) =>
+	speaker ? `${speaker}：${text}` : text;
+
+const render = () => {
+	const lines = partialLine
+		? [...finalLines, { ...partialLine, partial: true }]
+		: finalLines;
+	captionsEl.replaceChildren(
+		...lines.map((line) => {
+			const element = document.createElement("div");
+			element.className = line.partial
+				? "caption-line partial"
+				: "caption-line";
+			element.textContent = formatLine(line);
+			return element;
+		}),
+	);
+};
+
+const applyStyle = (style) => {
+	if (!style) return;
+	captionsEl.style.fontFamily = style.fontFamily;
+	captionsEl.style.fontSize = `${style.fontSize}px`;
+	captionsEl.style.lineHeight = String(style.lineHeight);
+	captionsEl.style.color = style.color;
+	captionsEl.style.backgroundColor = style.background;
+};
+
+// Captions are segments of the main-process transcript model; a segment that
+// post-processing emptied clears the partial line.
+api.onCaption?.((segment) => {
+	const text = segment?.text?.trim?.() ?? "";
+	const line = text.length ? { text, speaker: segment.speaker ?? null } : null;
+	if (segment?.isFinal) {
+		if (line) finalLines = [...finalLines, line].slice(-MAX_FINAL_LINES);
+		partialLine = null;
+	} else {
+		partialLine = line;
+	}
+	render();
+});
+
+api.onCaptionReset?.(() => {
+	finalLines = [];
+	partialLine = null;
+	render();
+});
+
+api.onCaptionStyle?.(applyStyle);
+
+api
+	.getCaptionStyle?.()
+	.then(applyStyle)
+	.catch((error) => {
+		console.error("读取字幕样式失败", error);
+	});
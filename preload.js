@@ -7,15 +7,57 @@ contextBridge.exposeInMainWorld("electronAPI", {
 	startTranscription: (options) =>
 		ipcRenderer.send("start-transcription", options ?? {}),
 	stopTranscription: () => ipcRenderer.send("stop-transcription"),
-	onTranscript: (callback) =>
-		ipcRenderer.on("transcript", (_, payload) => callback(payload)),
+	onSegmentAdded: (callback) =>
+		ipcRenderer.on("segment-added", (_, segment) => callback(segment)),
+	onSegmentUpdated: (callback) =>
+		ipcRenderer.on("segment-updated", (_, segment) => callback(segment)),
+	onSegmentFinalized: (callback) =>
+		ipcRenderer.on("segment-finalized", (_, segment) => callback(segment)),
 	onFinalTranscript: (callback) =>
-		ipcRenderer.on("transcript-final", (_, text) => callback(text)),
+		ipcRenderer.on("transcript-final", (_, payload) => callback(payload)),
+	onTranscriptTranslation: (callback) =>
+		ipcRenderer.on("transcript-translation", (_, payload) => callback(payload)),
 	onStatus: (callback) =>
 		ipcRenderer.on("status-update", (_, status) => callback(status)),
+	onTranscriptionError: (callback) =>
+		ipcRenderer.on("transcription-error", (_, payload) => callback(payload)),
+	onProviderChange: (callback) =>
+		ipcRenderer.on("provider-changed", (_, payload) => callback(payload)),
+	onProviderStatus: (callback) =>
+		ipcRenderer.on("provider-status", (_, payload) => callback(payload)),
+	onVoiceActivity: (callback) =>
+		ipcRenderer.on("voice-activity", (_, payload) => callback(payload)),
+	onAudioSignal: (callback) =>
+		ipcRenderer.on("audio-signal", (_, payload) => callback(payload)),
+	onRemoteStart: (callback) =>
+		ipcRenderer.on("remote-start", (_, options) => callback(options)),
+	toggleCaptionOverlay: () => ipcRenderer.invoke("toggle-caption-overlay"),
+	onCaptionOverlayVisibility: (callback) =>
+		ipcRenderer.on("caption-overlay-visibility", (_, payload) =>
+			callback(payload),
+		),
+	// Caption overlay window
+	getCaptionStyle: () => ipcRenderer.invoke("caption-style-get"),
+	onCaption: (callback) =>
+		ipcRenderer.on("caption", (_, payload) => callback(payload)),
+	onCaptionReset: (callback) =>
+		ipcRenderer.on("caption-reset", () => callback()),
+	onCaptionStyle: (callback) =>
+		ipcRenderer.on("caption-style", (_, style) => callback(style)),
+	onComparisonComplete: (callback) =>
+		ipcRenderer.on("comparison-complete", (_, payload) => callback(payload)),
 	enableLoopbackAudio: () => ipcRenderer.invoke("enable-loopback-audio"),
 	disableLoopbackAudio: () => ipcRenderer.invoke("disable-loopback-audio"),
 	sendAudioChunk: (chunk) => ipcRenderer.send("audio-chunk", chunk),
+	transcribeFile: (options) => ipcRenderer.invoke("transcribe-file", options),
+	onFileTranscriptionProgress: (callback) =>
+		ipcRenderer.on("file-transcription-progress", (_, payload) =>
+			callback(payload),
+		),
+	getTranscriptionProviders: () =>
+		ipcRenderer.invoke("get-transcription-providers"),
+	getMockScripts: () => ipcRenderer.invoke("get-mock-scripts"),
+	getCaptureOptions: () => ipcRenderer.invoke("capture-options-get"),
 	// Recall AI functionality
 	startRecallRecording: (options) =>
 		ipcRenderer.invoke("start-recall-recording", options),
@@ -23,5 +65,24 @@ contextBridge.exposeInMainWorld("electronAPI", {
 	getRecallStatus: () => ipcRenderer.invoke("get-recall-status"),
 	sendRecallAudio: (audioData) =>
 		ipcRenderer.send("send-recall-audio", audioData),
+	// Settings
+	openSettings: () => ipcRenderer.invoke("open-settings"),
+	getSettings: () => ipcRenderer.invoke("settings-get"),
+	saveSettings: (changes) => ipcRenderer.invoke("settings-save", changes ?? {}),
+	// Session history
+	listHistory: (options) => ipcRenderer.invoke("history-list", options ?? {}),
+	getHistorySession: (id) => ipcRenderer.invoke("history-get", id),
+	renameHistorySession: (id, title) =>
+		ipcRenderer.invoke("history-rename", id, title),
+	deleteHistorySession: (id) => ipcRenderer.invoke("history-delete", id),
+	renameSpeaker: (options) => ipcRenderer.invoke("rename-speaker", options),
+	onHistoryUpdated: (callback) =>
+		ipcRenderer.on("history-updated", (_, payload) => callback(payload)),
+	summarizeSession: (options) =>
+		ipcRenderer.invoke("summarize-session", options ?? {}),
+	onSessionSummary: (callback) =>
+		ipcRenderer.on("session-summary", (_, payload) => callback(payload)),
+	exportTranscript: (options) =>
+		ipcRenderer.invoke("export-transcript", options ?? {}),
 	logError: (...entries) => ipcRenderer.invoke("log-error", entries),
 });
@@ -1,4 +1,11 @@
 import RecallAiSdk from "@recallai/desktop-sdk";
+import {
+	DEFAULT_LANGUAGE,
+	getProvider,
+	getProvidersForCapture,
+	resolveProviderLanguage,
+} from "./transcription/index.js";
+import { createSegment } from "./transcription/segment.js";
 
 let recallRecordingActive = false;
 let recallWindowId = null;
@@ -7,20 +14,28 @@ let recallSdkInitialized = false;
 
 const RECALL_REALTIME_EVENT = "transcript.data";
 const SHOULD_DEBUG_RECALL = process.env.DEBUG_RECALL === "1";
+const SECONDS_TO_MS = 1000;
+
+const resolveRecallProvider = (transcriptionProvider, language) => {
+	const requested = getProvider(transcriptionProvider);
+	const provider =
+		requested?.captureTypes.includes("recall") && requested.recall
+			? requested
+			: getProvidersForCapture("recall").find((candidate) => candidate.recall);
+	if (!provider) {
+		return null;
+	}
 
-const providerMap = {
-	assembly: "assembly_ai_v3_streaming",
-	deepgram: "deepgram_streaming",
-};
-
-const providerDefaults = {
-	assembly_ai_v3_streaming: {
-		language_code: "zh",
-		speech_model: "universal-streaming-multilingual",
-	},
-	deepgram_streaming: {
-		language: "zh",
-	},
+	const { providerKey, defaults = {}, languageKey } = provider.recall;
+	return {
+		providerKey,
+		defaults: languageKey
+			? {
+					...defaults,
+					[languageKey]: resolveProviderLanguage(provider.id, language),
+				}
+			: defaults,
+	};
 };
 
 const debugRecall = (...args) => {
@@ -29,6 +44,16 @@ const debugRecall = (...args) => {
 	}
 };
 
+const toRecallWords = (words) =>
+	(Array.isArray(words) ? words : [])
+		.filter((word) => word && typeof word === "object")
+		.map((word) => ({
+			text: word.text || word.word || word.display_text,
+			start: Number(word.start_timestamp?.relative) * SECONDS_TO_MS,
+			end: Number(word.end_timestamp?.relative) * SECONDS_TO_MS,
+			confidence: word.confidence,
+		}));
+
 function emitRealtimeStatus(status) {
 	debugRecall("status", status);
 	realtimeHandlers?.onStatus?.(status);
@@ -127,9 +152,17 @@ function normalizeRealtimeTranscript(payload) {
 			),
 	];
 
+	const participant = nestedData?.participant ?? data.participant;
+
 	return {
-		text: text.trim(),
-		isFinal: finalFlags.some(Boolean),
+		...createSegment({
+			id: nestedData?.id ?? data.id,
+			text,
+			words: toRecallWords(nestedData?.words),
+			isFinal: finalFlags.some(Boolean),
+			language: nestedData?.language_code ?? data.language ?? null,
+			speaker: participant?.name || participant?.id,
+		}),
 		raw: data,
 	};
 }
@@ -262,6 +295,7 @@ export async function startRecallRecording(options = {}) {
 		clientToken,
 		backendUrl = null,
 		transcriptionProvider = "deepgram",
+		language = DEFAULT_LANGUAGE,
 		providerOptions = {},
 		recordingConfigOverrides = {},
 		recallRegion = process.env.RECALL_REGION,
@@ -269,10 +303,15 @@ export async function startRecallRecording(options = {}) {
 		recallInitOptions,
 	} = options;
 
-	const providerKey =
-		providerMap[transcriptionProvider] ?? providerMap.deepgram;
+	const recallProvider = resolveRecallProvider(transcriptionProvider, language);
+	if (!recallProvider?.providerKey) {
+		throw new Error(
+			`Transcription provider "${transcriptionProvider}" cannot be used with Recall.`,
+		);
+	}
+	const providerKey = recallProvider.providerKey;
 	const mergedProviderOptions = {
-		...(providerDefaults[providerKey] ?? {}),
+		...(recallProvider.defaults ?? {}),
 		...providerOptions,
 	};
 
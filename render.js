@@ -1,3 +1,8 @@
+import { decodeAudioFile } from "./audioFileDecoder.js";
+import { setupHistoryView } from "./historyView.js";
+import { createSpeakerTranscript } from "./speakerTranscript.js";
+import { createTranslationTranscript } from "./translationTranscript.js";
+
 const originalConsoleError = console.error.bind(console);
 
 const forwardRendererErrorLog = (...args) => {
@@ -25,104 +30,82 @@ const transcriptionTypeSelect =
 	document.getElementById("transcriptionType") || null;
 const audioCaptureTypeSelect =
 	document.getElementById("audioCaptureType") || null;
+const mockScriptSelect = document.getElementById("mockScript");
+const languageSelect = document.getElementById("language");
+const recordAudioSelect = document.getElementById("recordAudio");
+const captureSourceSelect = document.getElementById("captureSource");
+const transcriptBoxEl = document.getElementById("transcriptBox");
+const comparisonModeCheckbox = document.getElementById("comparisonMode");
+const compareProvidersSelect = document.getElementById("compareProviders");
+const comparisonColumnsEl = document.getElementById("comparisonColumns");
+const exportFormatSelect = document.getElementById("exportFormat");
+const exportBtn = document.getElementById("exportBtn");
+const summaryBtn = document.getElementById("summaryBtn");
+const summaryPanelEl = document.getElementById("summaryPanel");
+const summaryContentEl = document.getElementById("summaryContent");
+const speakerTranscriptEl = document.getElementById("speakerTranscript");
+const translationTranscriptEl = document.getElementById(
+	"translationTranscript",
+);
+const transcribeFileBtn = document.getElementById("transcribeFileBtn");
+const audioFileInput = document.getElementById("audioFileInput");
+const fileProgressEl = document.getElementById("fileProgress");
+const fileProgressBarEl = document.getElementById("fileProgressBar");
+const fileProgressLabelEl = document.getElementById("fileProgressLabel");
+const voiceActivityCheckbox = document.getElementById("voiceActivityDetection");
+const voiceIndicatorEl = document.getElementById("voiceIndicator");
+const audioMonitorEl = document.getElementById("audioMonitor");
+const levelMeterFillEl = document.getElementById("levelMeterFill");
+const waveformCanvas = document.getElementById("waveform");
+const noAudioWarningEl = document.getElementById("noAudioWarning");
 
 let audioStream = null;
+let microphoneStream = null;
 let audioContext = null;
 let sourceNode = null;
-let processorNode = null;
+let microphoneNode = null;
+let mergerNode = null;
+let analyserNode = null;
+let levelMeterFrame = null;
+let captureNode = null;
 let silentNode = null;
 let streamingEnabled = false;
 let recallRecordingStarted = false;
 let currentSampleRate = 44100;
 let currentAudioCaptureType = "electron"; // default to electron
-let rollingTranscript = "";
-const NON_ACCUMULATING_TRANSCRIPT_PROVIDERS = new Set([
-	"assembly",
-	"googleGenai",
-]);
-// Store last transcript received from each provider to help with deduplication
-const lastReceivedTranscripts = new Map();
-
-const normalizeTranscriptPayload = (payload) => {
-	if (
-		typeof payload === "string" ||
-		typeof payload === "number" ||
-		typeof payload === "boolean"
-	) {
-		return {
-			text: payload.toString().trim(),
-			isFinal: false,
-			provider: null,
-		};
-	}
+let comparisonActive = false;
+// Name of the audio file being transcribed, null for live capture.
+let transcribingFileName = null;
+// Session shown in the transcript view after reopening it from history.
+let openedHistorySessionId = null;
+// session key -> { open, statusEl, partialEl, finalEl }
+const comparisonColumns = new Map();
+// Segments of the main-process transcript model that are not final yet,
+// segment id -> text.
+const liveTranscript = { open: new Map(), partialEl };
+// Rate of the capture frames posted by captureWorklet.js; their duration is
+// the CAPTURE_FRAME_MS setting.
+const CAPTURE_SAMPLE_RATE = 16000;
+// The level meter spans -60 dBFS to full scale.
+const LEVEL_METER_FLOOR_DB = -60;
+
+// Provider metadata comes from the main-process registry.
+let providers = [];
 
-	if (payload && typeof payload === "object") {
-		const rawText =
-			typeof payload.text === "string"
-				? payload.text
-				: typeof payload.transcript === "string"
-					? payload.transcript
-					: typeof payload.message === "string"
-						? payload.message
-						: "";
-		const text =
-			typeof rawText === "string"
-				? rawText.trim()
-				: (rawText?.toString?.().trim?.() ?? "");
-
-		return {
-			text,
-			isFinal: Boolean(payload.isFinal),
-			provider:
-				typeof payload.provider === "string" && payload.provider.length
-					? payload.provider
-					: null,
-		};
-	}
+const getProvidersForCapture = (captureType) =>
+	providers.filter((provider) => provider.captureTypes.includes(captureType));
 
-	return { text: "", isFinal: false, provider: null };
+const loadProviders = async () => {
+	try {
+		const described = await window.electronAPI?.getTranscriptionProviders?.();
+		providers = Array.isArray(described) ? described : [];
+	} catch (error) {
+		console.error("Failed to load transcription providers:", error);
+		providers = [];
+	}
+	refreshProviderOptions();
 };
 
-const shouldReplaceRollingTranscript = (provider) =>
-	typeof provider === "string" &&
-	NON_ACCUMULATING_TRANSCRIPT_PROVIDERS.has(provider);
-
-const PROVIDERS = [
-	{
-		value: "deepgram",
-		label: "Deepgram (Online)",
-		captureTypes: ["electron", "recall"],
-	},
-	{
-		value: "assembly",
-		label: "AssemblyAI (仅英语,不支持中文)",
-		captureTypes: ["electron", "recall"],
-	},
-	{
-		value: "gladia",
-		label: "Gladia (Electron only)",
-		captureTypes: ["electron"],
-	},
-	{
-		value: "revai",
-		label: "Rev.ai (Electron only)",
-		captureTypes: ["electron"],
-	},
-	{
-		value: "speechmatics",
-		label: "Speechmatics (Electron only)",
-		captureTypes: ["electron"],
-	},
-	{
-		value: "googleGenai",
-		label: "Google Gemini (Electron only)",
-		captureTypes: ["electron"],
-	},
-];
-
-const getProvidersForCapture = (captureType) =>
-	PROVIDERS.filter((provider) => provider.captureTypes.includes(captureType));
-
 const refreshProviderOptions = () => {
 	if (!transcriptionTypeSelect) {
 		return;
@@ -146,48 +129,152 @@ const refreshProviderOptions = () => {
 	transcriptionTypeSelect.value = stillValid
 		? currentValue
 		: (allowedProviders[0]?.value ?? "");
+
+	refreshCompareProviderOptions();
+	refreshMockScriptPicker();
 };
 
-// Set up audio capture type selection
-if (audioCaptureTypeSelect) {
-	currentAudioCaptureType = audioCaptureTypeSelect.value;
-	refreshProviderOptions();
+// The script picker only applies to the mock provider.
+const refreshMockScriptPicker = () => {
+	if (!mockScriptSelect) return;
+	mockScriptSelect.hidden = transcriptionTypeSelect?.value !== "mock";
+};
 
-	audioCaptureTypeSelect.addEventListener("change", function () {
-		currentAudioCaptureType = this.value;
-		refreshProviderOptions();
+// An empty value keeps MOCK_TRANSCRIPTION_SCRIPT or the bundled default.
+const loadMockScripts = async () => {
+	if (!mockScriptSelect) return;
+	try {
+		const scripts = await window.electronAPI?.getMockScripts?.();
+		for (const script of Array.isArray(scripts) ? scripts : []) {
+			const option = document.createElement("option");
+			option.value = script;
+			option.textContent = script;
+			mockScriptSelect.append(option);
+		}
+	} catch (error) {
+		console.error("Failed to load mock scripts:", error);
+	}
+};
+
+const selectedMockScript = (transcriptionType) =>
+	transcriptionType === "mock" && mockScriptSelect?.value
+		? mockScriptSelect.value
+		: undefined;
+
+const refreshCompareProviderOptions = () => {
+	if (!compareProvidersSelect) {
+		return;
+	}
+
+	const selected = new Set(getSelectedCompareProviders());
+	compareProvidersSelect.innerHTML = "";
+	getProvidersForCapture("electron").forEach((provider) => {
+		const option = document.createElement("option");
+		option.value = provider.value;
+		option.textContent = provider.label;
+		option.selected = selected.has(provider.value);
+		compareProvidersSelect.append(option);
 	});
-} else if (transcriptionTypeSelect) {
-	refreshProviderOptions();
-}
 
-const mixDownToMono = (channels) => {
-	if (!channels || channels.length === 0) {
-		return new Float32Array(0);
+	const comparisonAvailable = currentAudioCaptureType === "electron";
+	if (comparisonModeCheckbox) {
+		comparisonModeCheckbox.disabled = !comparisonAvailable;
+		if (!comparisonAvailable) {
+			comparisonModeCheckbox.checked = false;
+		}
 	}
+	compareProvidersSelect.hidden = !comparisonModeCheckbox?.checked;
+};
+
+const getSelectedCompareProviders = () =>
+	compareProvidersSelect
+		? [...compareProvidersSelect.selectedOptions].map((option) => option.value)
+		: [];
 
-	if (channels.length === 1) {
-		return channels[0];
+const getProviderLabel = (value) =>
+	providers.find((provider) => provider.value === value)?.label ?? value;
+
+const renderComparisonColumns = (keys) => {
+	comparisonColumns.clear();
+	if (!comparisonColumnsEl) {
+		return;
 	}
 
-	const length = channels[0]?.length ?? 0;
-	const mono = new Float32Array(length);
+	comparisonColumnsEl.innerHTML = "";
+	keys.forEach((key) => {
+		const column = document.createElement("div");
+		column.className = "transcript-box";
+		const heading = document.createElement("h3");
+		heading.textContent = getProviderLabel(key);
+		const statusEl = document.createElement("span");
+		statusEl.className = "column-status";
+		statusEl.textContent = "连接中...";
+		const partialEl = document.createElement("p");
+		partialEl.textContent = "—";
+		const finalEl = document.createElement("p");
+		finalEl.textContent = "—";
+		heading.append(" ", statusEl);
+		column.append(heading, partialEl, finalEl);
+		comparisonColumnsEl.append(column);
+		comparisonColumns.set(key, {
+			open: new Map(),
+			statusEl,
+			partialEl,
+			finalEl,
+		});
+	});
+};
 
-	for (let i = 0; i < length; i += 1) {
-		let sum = 0;
-		for (
-			let channelIndex = 0;
-			channelIndex < channels.length;
-			channelIndex += 1
-		) {
-			sum += channels[channelIndex]?.[i] ?? 0;
+// Diarized finals, grouped by speaker; replaces the flat final transcript
+// once a provider reports speakers.
+const speakerTranscript = createSpeakerTranscript({
+	container: speakerTranscriptEl,
+	onRename: async (speaker, name) => {
+		const result = await window.electronAPI?.renameSpeaker?.({
+			id: openedHistorySessionId,
+			speaker,
+			name,
+		});
+		if (result && !result.success) {
+			console.error("Failed to rename speaker:", result.message);
 		}
-		mono[i] = sum / channels.length;
-	}
+	},
+	onVisibilityChange: (visible) => {
+		finalEl.parentElement.hidden = visible;
+	},
+});
 
-	return mono;
+const translationTranscript = createTranslationTranscript({
+	container: translationTranscriptEl,
+});
+
+const setComparisonLayout = (active) => {
+	comparisonActive = active;
+	if (transcriptBoxEl) transcriptBoxEl.hidden = active;
+	if (comparisonColumnsEl) comparisonColumnsEl.hidden = !active;
 };
 
+comparisonModeCheckbox?.addEventListener("change", () => {
+	if (compareProvidersSelect) {
+		compareProvidersSelect.hidden = !comparisonModeCheckbox.checked;
+	}
+});
+
+// Set up audio capture type selection
+if (audioCaptureTypeSelect) {
+	currentAudioCaptureType = audioCaptureTypeSelect.value;
+
+	audioCaptureTypeSelect.addEventListener("change", function () {
+		currentAudioCaptureType = this.value;
+		refreshProviderOptions();
+	});
+}
+
+transcriptionTypeSelect?.addEventListener("change", refreshMockScriptPicker);
+
+void loadProviders();
+void loadMockScripts();
+
 const floatTo16BitPCM = (float32Array) => {
 	const buffer = new ArrayBuffer(float32Array.length * 2);
 	const view = new DataView(buffer);
@@ -201,13 +288,84 @@ const floatTo16BitPCM = (float32Array) => {
 	return new Int16Array(buffer);
 };
 
+const drawLevelMeter = () => {
+	if (!analyserNode) return;
+	const samples = new Float32Array(analyserNode.fftSize);
+	analyserNode.getFloatTimeDomainData(samples);
+
+	let sum = 0;
+	for (const sample of samples) {
+		sum += sample * sample;
+	}
+	const rms = Math.sqrt(sum / samples.length);
+	const db = rms > 0 ? 20 * Math.log10(rms) : LEVEL_METER_FLOOR_DB;
+	const level = Math.max(0, Math.min(1, 1 - db / LEVEL_METER_FLOOR_DB));
+	if (levelMeterFillEl) {
+		levelMeterFillEl.style.width = `${Math.round(level * 100)}%`;
+	}
+
+	const context = waveformCanvas?.getContext("2d");
+	if (context) {
+		const { width, height } = waveformCanvas;
+		context.clearRect(0, 0, width, height);
+		context.strokeStyle = "#ecf0f1";
+		context.lineWidth = 1;
+		context.beginPath();
+		samples.forEach((sample, index) => {
+			const x = (index / (samples.length - 1)) * width;
+			const y = ((1 - sample) / 2) * height;
+			if (index === 0) {
+				context.moveTo(x, y);
+			} else {
+				context.lineTo(x, y);
+			}
+		});
+		context.stroke();
+	}
+
+	levelMeterFrame = requestAnimationFrame(drawLevelMeter);
+};
+
+const startLevelMeter = (inputNode) => {
+	analyserNode = audioContext.createAnalyser();
+	analyserNode.fftSize = 2048;
+	inputNode.connect(analyserNode);
+	if (audioMonitorEl) audioMonitorEl.hidden = false;
+	levelMeterFrame = requestAnimationFrame(drawLevelMeter);
+};
+
+const stopLevelMeter = () => {
+	if (levelMeterFrame !== null) {
+		cancelAnimationFrame(levelMeterFrame);
+		levelMeterFrame = null;
+	}
+	if (analyserNode) {
+		analyserNode.disconnect();
+		analyserNode = null;
+	}
+	if (audioMonitorEl) audioMonitorEl.hidden = true;
+	if (levelMeterFillEl) levelMeterFillEl.style.width = "0";
+};
+
+const showNoAudioWarning = (silentMs) => {
+	if (!noAudioWarningEl) return;
+	if (silentMs === null) {
+		noAudioWarningEl.hidden = true;
+		return;
+	}
+	noAudioWarningEl.hidden = false;
+	noAudioWarningEl.textContent = `⚠️ 已有 ${Math.round(silentMs / 1000)} 秒未检测到音频信号，请检查输出设备或会议是否静音`;
+};
+
 const stopCapture = async () => {
 	streamingEnabled = false;
+	stopLevelMeter();
+	showNoAudioWarning(null);
 
-	if (processorNode) {
-		processorNode.disconnect();
-		processorNode.onaudioprocess = null;
-		processorNode = null;
+	if (captureNode) {
+		captureNode.disconnect();
+		captureNode.port.onmessage = null;
+		captureNode = null;
 	}
 
 	if (sourceNode) {
@@ -215,6 +373,16 @@ const stopCapture = async () => {
 		sourceNode = null;
 	}
 
+	if (microphoneNode) {
+		microphoneNode.disconnect();
+		microphoneNode = null;
+	}
+
+	if (mergerNode) {
+		mergerNode.disconnect();
+		mergerNode = null;
+	}
+
 	if (silentNode) {
 		silentNode.disconnect();
 		silentNode = null;
@@ -235,10 +403,19 @@ const stopCapture = async () => {
 		});
 		audioStream = null;
 	}
+
+	if (microphoneStream) {
+		microphoneStream.getTracks().forEach((track) => {
+			track.stop();
+		});
+		microphoneStream = null;
+	}
 };
 
 // Audio capture methods
-const startElectronCapture = async () => {
+// With a microphone, mic and system audio travel as two channels so the
+// main process can tell "Me" (channel 0) from "Remote" (channel 1).
+const startElectronCapture = async ({ microphone = false } = {}) => {
 	const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
 	if (!AudioContextCtor) {
 		throw new Error("当前环境不支持 Web Audio API，请升级浏览器内核");
@@ -275,51 +452,65 @@ const startElectronCapture = async () => {
 		}
 
 		audioStream = new MediaStream(audioTracks);
+		if (microphone) {
+			// Echo cancellation keeps the far end played on speakers off "Me".
+			microphoneStream = await navigator.mediaDevices.getUserMedia({
+				audio: { echoCancellation: true, noiseSuppression: true },
+				video: false,
+			});
+		}
+		const channels = microphone ? 2 : 1;
+		const { frameMs } = (await window.electronAPI.getCaptureOptions?.()) ?? {};
 
-		audioContext = new AudioContextCtor({ sampleRate: 16000 });
+		// The context runs at the device rate; the worklet resamples.
+		audioContext = new AudioContextCtor();
+		await audioContext.audioWorklet.addModule("./captureWorklet.js");
 		await audioContext.resume();
-		currentSampleRate = audioContext.sampleRate;
+		currentSampleRate = CAPTURE_SAMPLE_RATE;
 
 		sourceNode = audioContext.createMediaStreamSource(audioStream);
-		const inputChannels =
-			sourceNode.channelCount ||
-			audioTracks[0]?.getSettings()?.channelCount ||
-			2;
-		const bufferSize = 4096;
-		processorNode = audioContext.createScriptProcessor(
-			bufferSize,
-			inputChannels,
-			1,
-		);
+		captureNode = new AudioWorkletNode(audioContext, "pcm-capture", {
+			numberOfOutputs: 1,
+			outputChannelCount: [1],
+			...(microphone
+				? {
+						channelCount: channels,
+						channelCountMode: "explicit",
+						channelInterpretation: "discrete",
+					}
+				: {}),
+			processorOptions: {
+				targetSampleRate: CAPTURE_SAMPLE_RATE,
+				frameMs,
+				channels,
+			},
+		});
 		silentNode = audioContext.createGain();
 		silentNode.gain.value = 0;
 
-		processorNode.onaudioprocess = (event) => {
+		captureNode.port.onmessage = ({ data }) => {
 			if (!streamingEnabled) {
 				return;
 			}
-
-			const channels = [];
-			for (let i = 0; i < event.inputBuffer.numberOfChannels; i += 1) {
-				channels.push(event.inputBuffer.getChannelData(i));
-			}
-
-			const mono = mixDownToMono(channels);
-			if (mono.length === 0) {
-				return;
-			}
-
-			const pcm16 = floatTo16BitPCM(mono);
-			if (pcm16.length > 0) {
-				window.electronAPI.sendAudioChunk(pcm16);
-			}
+			window.electronAPI.sendAudioChunk(new Int16Array(data));
 		};
 
-		sourceNode.connect(processorNode);
-		processorNode.connect(silentNode);
+		// Routing through a muted gain keeps the worklet pulled by the graph.
+		if (microphone) {
+			// Each merger input is down-mixed to one channel.
+			microphoneNode = audioContext.createMediaStreamSource(microphoneStream);
+			mergerNode = audioContext.createChannelMerger(channels);
+			microphoneNode.connect(mergerNode, 0, 0);
+			sourceNode.connect(mergerNode, 0, 1);
+			mergerNode.connect(captureNode);
+		} else {
+			sourceNode.connect(captureNode);
+		}
+		startLevelMeter(mergerNode ?? sourceNode);
+		captureNode.connect(silentNode);
 		silentNode.connect(audioContext.destination);
 
-		return { sampleRate: currentSampleRate };
+		return { sampleRate: currentSampleRate, channels };
 	} catch (error) {
 		await stopCapture();
 		throw error;
@@ -341,7 +532,9 @@ const startRecallCapture = async () => {
 
 const startCapture = async () => {
 	if (currentAudioCaptureType === "electron") {
-		return await startElectronCapture();
+		return await startElectronCapture({
+			microphone: captureSourceSelect?.value === "microphone",
+		});
 	} else if (currentAudioCaptureType === "recall") {
 		return await startRecallCapture();
 	} else {
@@ -351,6 +544,28 @@ const startCapture = async () => {
 	}
 };
 
+const resetTranscriptView = () => {
+	liveTranscript.open.clear();
+	openedHistorySessionId = null;
+	speakerTranscript.reset();
+	translationTranscript.reset();
+	summaryPanelEl.hidden = true;
+	finalEl.textContent = "—";
+};
+
+const assertLanguageSupported = (values, language) => {
+	const languageLabel =
+		languageSelect?.selectedOptions?.[0]?.textContent ?? language;
+	const unsupportedProvider = values
+		.map((value) => providers.find((provider) => provider.value === value))
+		.find((provider) => provider && !provider.languages?.includes(language));
+	if (unsupportedProvider) {
+		throw new Error(
+			`${unsupportedProvider.label} 不支持${languageLabel}，请更换语言或转写提供商`,
+		);
+	}
+};
+
 startBtn.onclick = async () => {
 	if (!window.electronAPI) {
 		alert("缺少预加载桥接：window.electronAPI 不存在");
@@ -361,9 +576,8 @@ startBtn.onclick = async () => {
 	stopBtn.disabled = false;
 	statusEl.textContent = "连接中...";
 	statusEl.className = "status connecting";
-	rollingTranscript = "";
+	resetTranscriptView();
 	partialEl.textContent = "建立连接中...";
-	finalEl.textContent = "—";
 
 	try {
 		const allowedProviders = getProvidersForCapture(currentAudioCaptureType);
@@ -383,10 +597,33 @@ startBtn.onclick = async () => {
 			}
 		}
 
+		const language = languageSelect?.value || "zh";
+		assertLanguageSupported(
+			[
+				selectedTranscriptionType,
+				...(comparisonModeCheckbox?.checked &&
+				currentAudioCaptureType === "electron"
+					? getSelectedCompareProviders()
+					: []),
+			],
+			language,
+		);
+
+		const compareProviders =
+			comparisonModeCheckbox?.checked && currentAudioCaptureType === "electron"
+				? getSelectedCompareProviders()
+				: [];
+		if (comparisonModeCheckbox?.checked && compareProviders.length < 2) {
+			throw new Error("对比模式请至少选择两个转写提供商");
+		}
+		setComparisonLayout(compareProviders.length > 1);
+		renderComparisonColumns(compareProviders);
+
 		if (currentAudioCaptureType === "recall" && !recallRecordingStarted) {
 			partialEl.textContent = "启动 Recall 录音中...";
 			const recallResult = await window.electronAPI.startRecallRecording({
 				transcriptionProvider: selectedTranscriptionType,
+				language,
 			});
 
 			if (!recallResult.success) {
@@ -407,7 +644,7 @@ startBtn.onclick = async () => {
 
 		const options = {
 			sampleRate: captureConfig.sampleRate,
-			channels: 1,
+			channels: captureConfig.channels ?? 1,
 			encoding: "linear16",
 		};
 
@@ -416,14 +653,29 @@ startBtn.onclick = async () => {
 
 		// Add audio capture type to options
 		options.audioCaptureType = currentAudioCaptureType;
+		options.language = language;
+		options.mockScript = selectedMockScript(selectedTranscriptionType);
+		if (currentAudioCaptureType === "electron") {
+			options.voiceActivityDetection = Boolean(voiceActivityCheckbox?.checked);
+			options.captureSource = captureSourceSelect?.value || "system";
+		}
+		if (recordAudioSelect?.value) {
+			options.recordAudio = recordAudioSelect.value;
+		}
+
+		if (compareProviders.length > 1) {
+			options.compareProviders = compareProviders;
+		}
 
 		window.electronAPI.startTranscription(options);
 		streamingEnabled = true;
+		showVoiceActivity(options.voiceActivityDetection ? false : null);
 	} catch (error) {
 		console.error("启动监听失败", error);
+		setComparisonLayout(false);
 		statusEl.textContent = "启动失败";
 		statusEl.className = "status disconnected";
-		rollingTranscript = "";
+		liveTranscript.open.clear();
 		partialEl.textContent = error.message || "请检查录音权限后重试";
 		startBtn.disabled = false;
 		stopBtn.disabled = true;
@@ -452,7 +704,7 @@ stopBtn.onclick = async () => {
 
 	window.electronAPI.stopTranscription();
 	streamingEnabled = false;
-	rollingTranscript = "";
+	liveTranscript.open.clear();
 	partialEl.textContent = "—";
 
 	// Stop audio capture based on the selected method
@@ -472,49 +724,318 @@ stopBtn.onclick = async () => {
 	console.warn("already stop audio capture");
 };
 
-window.electronAPI.onTranscript((payload) => {
-	const { text, provider } = normalizeTranscriptPayload(payload);
-	if (!text.length) {
-		if (!rollingTranscript.length) {
-			partialEl.textContent = "…";
-		}
+const showVoiceActivity = (speaking) => {
+	if (!voiceIndicatorEl) return;
+	if (speaking === null) {
+		voiceIndicatorEl.hidden = true;
 		return;
 	}
+	voiceIndicatorEl.hidden = false;
+	voiceIndicatorEl.textContent = speaking ? "🗣️ 有人说话" : "🤫 静音";
+	voiceIndicatorEl.classList.toggle("speaking", speaking);
+};
+
+window.electronAPI.onVoiceActivity?.(({ speaking }) => {
+	showVoiceActivity(Boolean(speaking));
+});
+
+// Local API start commands pick the provider and language, then start the
+// same way as the button.
+window.electronAPI.onRemoteStart?.(({ transcriptionType, language } = {}) => {
+	if (startBtn.disabled) return;
+	const hasOption = (select, value) =>
+		Boolean(
+			select && [...select.options].some((option) => option.value === value),
+		);
+	if (hasOption(transcriptionTypeSelect, transcriptionType)) {
+		transcriptionTypeSelect.value = transcriptionType;
+		refreshMockScriptPicker();
+	}
+	if (hasOption(languageSelect, language)) {
+		languageSelect.value = language;
+	}
+	startBtn.click();
+});
+
+window.electronAPI.onAudioSignal?.(({ present, silentMs }) => {
+	showNoAudioWarning(present ? null : silentMs);
+});
+
+const formatDuration = (ms) => {
+	const totalSeconds = Math.floor(ms / 1000);
+	const minutes = Math.floor(totalSeconds / 60);
+	const seconds = String(totalSeconds % 60).padStart(2, "0");
+	return `${minutes}:${seconds}`;
+};
+
+const setFileProgress = (positionMs, durationMs) => {
+	if (!fileProgressEl) return;
+	fileProgressEl.hidden = false;
+	fileProgressBarEl.max = durationMs;
+	fileProgressBarEl.value = positionMs;
+	const percent =
+		durationMs > 0 ? Math.round((positionMs / durationMs) * 100) : 0;
+	fileProgressLabelEl.textContent = `${transcribingFileName ?? ""} ${percent}%（${formatDuration(positionMs)} / ${formatDuration(durationMs)}）`;
+};
+
+const finishFileTranscription = () => {
+	transcribingFileName = null;
+	if (fileProgressEl) fileProgressEl.hidden = true;
+	if (transcribeFileBtn) transcribeFileBtn.disabled = false;
+};
+
+// Decode and resample in the renderer; the main process streams the PCM
+// through the selected provider like live audio.
+const transcribeFile = async (file) => {
+	const transcriptionType = transcriptionTypeSelect?.value || "deepgram";
+	const provider = providers.find((entry) => entry.value === transcriptionType);
+	startBtn.disabled = true;
+	transcribeFileBtn.disabled = true;
+	transcribingFileName = file.name;
+	setComparisonLayout(false);
+	resetTranscriptView();
+	statusEl.textContent = "解码文件中...";
+	statusEl.className = "status connecting";
+	partialEl.textContent = file.name;
+
+	try {
+		if (!provider?.captureTypes.includes("electron")) {
+			throw new Error(`${provider?.label ?? transcriptionType} 不支持文件转写`);
+		}
+		const language = languageSelect?.value || "zh";
+		assertLanguageSupported([transcriptionType], language);
+
+		const sampleRate = provider.fileSampleRate;
+		const pcm16 = floatTo16BitPCM(await decodeAudioFile(file, sampleRate));
+		setFileProgress(0, (pcm16.length / sampleRate) * 1000);
+		statusEl.textContent = "连接中...";
+		const result = await window.electronAPI.transcribeFile({
+			name: file.name,
+			pcm: pcm16.buffer,
+			sampleRate,
+			transcriptionType,
+			language,
+			mockScript: selectedMockScript(transcriptionType),
+		});
+		if (!result?.success) {
+			throw new Error(result?.message || "文件转写失败");
+		}
+		stopBtn.disabled = false;
+	} catch (error) {
+		console.error("文件转写失败", error);
+		finishFileTranscription();
+		statusEl.textContent = "文件转写失败";
+		statusEl.className = "status disconnected";
+		partialEl.textContent = error.message || "文件转写失败";
+		startBtn.disabled = false;
+		stopBtn.disabled = true;
+	}
+};
+
+if (transcribeFileBtn && audioFileInput) {
+	transcribeFileBtn.onclick = () => audioFileInput.click();
+	audioFileInput.addEventListener("change", () => {
+		const [file] = audioFileInput.files;
+		audioFileInput.value = "";
+		if (file) {
+			void transcribeFile(file);
+		}
+	});
+}
+
+window.electronAPI.onFileTranscriptionProgress?.(
+	({ positionMs, durationMs }) => {
+		if (transcribingFileName) {
+			setFileProgress(positionMs, durationMs);
+		}
+	},
+);
+
+const exportTranscript = async (id) => {
+	const result = await window.electronAPI.exportTranscript({
+		id,
+		format: exportFormatSelect?.value ?? "srt",
+	});
+	if (result?.success) {
+		statusEl.textContent = `已导出到 ${result.filePath}`;
+	} else if (!result?.canceled) {
+		alert(result?.message || "导出失败");
+	}
+};
+
+const showSummary = (markdown) => {
+	summaryContentEl.textContent = markdown;
+	summaryPanelEl.hidden = false;
+};
+
+const requestSummary = async ({ regenerate = false } = {}) => {
+	const previousStatus = statusEl.textContent;
+	statusEl.textContent = "正在生成会议纪要…";
+	summaryBtn.disabled = true;
+	try {
+		const result = await window.electronAPI.summarizeSession({
+			id: openedHistorySessionId,
+			regenerate,
+		});
+		if (!result?.success) {
+			alert(result?.message || "生成会议纪要失败");
+			return;
+		}
+		showSummary(result.markdown);
+	} finally {
+		summaryBtn.disabled = false;
+		statusEl.textContent = previousStatus;
+	}
+};
+
+summaryBtn?.addEventListener("click", () => {
+	void requestSummary();
+});
+
+document
+	.getElementById("summaryRegenerateBtn")
+	?.addEventListener("click", () => {
+		void requestSummary({ regenerate: true });
+	});
+
+document.getElementById("summaryCloseBtn")?.addEventListener("click", () => {
+	summaryPanelEl.hidden = true;
+});
+
+// Automatic summaries (SUMMARY_AUTO) arrive a while after stopping; show them
+// unless another session was opened from history meanwhile.
+window.electronAPI?.onSessionSummary?.(({ sessionId, markdown }) => {
+	if (!openedHistorySessionId || openedHistorySessionId === sessionId) {
+		showSummary(markdown);
+	}
+});
+
+document.getElementById("settingsBtn")?.addEventListener("click", () => {
+	void window.electronAPI?.openSettings?.();
+});
+
+const captionBtn = document.getElementById("captionBtn");
+const showCaptionOverlayState = (visible) => {
+	if (!captionBtn) return;
+	captionBtn.textContent = visible ? "关闭字幕" : "字幕";
+};
+
+captionBtn?.addEventListener("click", async () => {
+	const result = await window.electronAPI?.toggleCaptionOverlay?.();
+	if (result && !result.success) {
+		alert(result.message || "无法打开字幕浮窗");
+	}
+});
+
+// The global shortcut toggles the overlay too, so follow the main process.
+window.electronAPI?.onCaptionOverlayVisibility?.(({ visible }) => {
+	showCaptionOverlayState(Boolean(visible));
+});
 
-	// Update last received transcript for deduplication
-	lastReceivedTranscripts.set(provider, text);
+if (exportBtn) {
+	exportBtn.onclick = () => exportTranscript(openedHistorySessionId);
+}
+
+const showHistorySession = (session) => {
+	openedHistorySessionId = session.id;
+	setComparisonLayout(false);
+	const multipleProviders = (session.providers?.length ?? 0) > 1;
+	const text = session.segments
+		.map((segment) =>
+			multipleProviders ? `[${segment.key}] ${segment.text}` : segment.text,
+		)
+		.join(multipleProviders ? "\n" : " ");
+	liveTranscript.open.clear();
+	partialEl.textContent = "—";
+	finalEl.textContent = text || "—";
+	speakerTranscript.reset(session.segments, session.speakerNames);
+	translationTranscript.reset(session.segments);
+	summaryPanelEl.hidden = true;
+	statusEl.textContent = `历史记录：${session.title}`;
+	statusEl.className = "status disconnected";
+};
+
+setupHistoryView({ onOpen: showHistorySession, onExport: exportTranscript });
 
-	if (shouldReplaceRollingTranscript(provider)) {
-		rollingTranscript = text;
+// The partial line shows the open segments; once none is open it keeps the
+// last final until the next segment starts.
+const updateLiveTranscript = (segment) => {
+	const view = comparisonActive
+		? comparisonColumns.get(segment?.key)
+		: liveTranscript;
+	if (!view || typeof segment?.id !== "string") {
+		return;
+	}
+	const text = segment.text?.trim?.() ?? "";
+	if (segment.isFinal || !text.length) {
+		view.open.delete(segment.id);
 	} else {
-		if (provider === "speechmatics") {
-			// For Speechmatics, treat partial results as the most current version
-			// to avoid duplication issues, but still allow for text accumulation
-			// over time as speech progresses
-			rollingTranscript = text;
-		} else {
-			// For other providers, use normal accumulation
-			rollingTranscript = rollingTranscript.length
-				? `${rollingTranscript} ${text}`
-				: text;
+		view.open.set(segment.id, text);
+	}
+	if (view.open.size) {
+		view.partialEl.textContent = [...view.open.values()].join(" ");
+	} else if (segment.isFinal && text.length) {
+		view.partialEl.textContent = text;
+	}
+};
+
+window.electronAPI.onSegmentAdded(updateLiveTranscript);
+window.electronAPI.onSegmentUpdated(updateLiveTranscript);
+window.electronAPI.onSegmentFinalized((segment) => {
+	updateLiveTranscript(segment);
+	if (!comparisonActive && segment?.text?.length) {
+		speakerTranscript.addSegment(segment);
+	}
+});
+
+// Finalized text of a session key, derived by the transcript model.
+window.electronAPI.onFinalTranscript(({ key, text }) => {
+	if (comparisonActive) {
+		const column = comparisonColumns.get(key);
+		if (column && text.length) {
+			column.finalEl.textContent = text;
 		}
+		return;
 	}
-	partialEl.textContent = rollingTranscript;
+	finalEl.textContent = text.length ? text : "—";
 });
 
-window.electronAPI.onFinalTranscript((text) => {
-	const normalized =
-		typeof text === "string"
-			? text.trim()
-			: (text?.toString?.().trim?.() ?? "");
+window.electronAPI.onTranscriptTranslation?.((payload) => {
+	translationTranscript.addTranslation(payload);
+});
 
-	if (!normalized.length) {
-		finalEl.textContent = "—";
+window.electronAPI.onTranscriptionError?.(({ message }) => {
+	if (typeof message === "string" && message.length) {
+		partialEl.textContent = message;
+	}
+});
+
+window.electronAPI.onProviderChange?.(({ label }) => {
+	statusEl.textContent = `正在切换到 ${label}… 🔀`;
+	statusEl.className = "status reconnecting";
+	if (transcriptionTypeSelect && typeof label === "string") {
+		transcriptionTypeSelect.title = `当前提供商：${label}`;
+	}
+});
+
+window.electronAPI.onProviderStatus?.(({ key, status }) => {
+	const column = comparisonColumns.get(key);
+	if (!column) {
 		return;
 	}
+	const labels = {
+		connecting: "连接中...",
+		connected: "已连接 ✅",
+		reconnecting: "重连中 🔄",
+		error: "连接错误 ❌",
+	};
+	column.statusEl.textContent = labels[status] ?? status;
+});
 
-	rollingTranscript = normalized;
-	finalEl.textContent = normalized;
+window.electronAPI.onComparisonComplete?.(({ directory }) => {
+	if (typeof directory === "string" && directory.length) {
+		statusEl.textContent = `已停止，对比结果已保存到 ${directory}`;
+	}
 });
 
 window.electronAPI.onStatus((status) => {
@@ -523,13 +1044,29 @@ window.electronAPI.onStatus((status) => {
 			statusEl.textContent = "已连接 ✅";
 			statusEl.className = "status connected";
 			streamingEnabled = true;
-			partialEl.textContent = "请开始播放或讲话…";
+			partialEl.textContent = transcribingFileName
+				? `正在转写 ${transcribingFileName}…`
+				: "请开始播放或讲话…";
+			break;
+		case "reconnecting":
+			// Capture keeps running; the main process buffers audio until the
+			// provider session is re-established.
+			statusEl.textContent = "连接中断，正在重连… 🔄";
+			statusEl.className = "status reconnecting";
+			break;
+		case "recording-only":
+			// Transcription failed but the main process is still writing the
+			// audio file, so capture keeps running until the user stops.
+			statusEl.textContent = "转写中断，仍在录音 🎙️";
+			statusEl.className = "status reconnecting";
 			break;
 		case "error":
 			statusEl.textContent = "连接错误 ❌";
 			statusEl.className = "status disconnected";
 			streamingEnabled = false;
 			void stopCapture();
+			finishFileTranscription();
+			showVoiceActivity(null);
 			stopBtn.disabled = true;
 			startBtn.disabled = false;
 			break;
@@ -539,6 +1076,8 @@ window.electronAPI.onStatus((status) => {
 			statusEl.className = "status disconnected";
 			streamingEnabled = false;
 			void stopCapture();
+			finishFileTranscription();
+			showVoiceActivity(null);
 			startBtn.disabled = false;
 			stopBtn.disabled = true;
 			break;
@@ -0,0 +1,299 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const HISTORY_FILE_EXTENSION = ".json";
+const AUDIO_FILE_EXTENSIONS = [".wav", ".flac"];
+const SAVE_DEBOUNCE_MS = 2000;
+const SNIPPET_RADIUS = 40;
+
+let historyDirectory = null;
+const pendingSaves = new Map(); // session id -> timeout
+const fileOperations = new Map(); // session id -> last queued write or delete
+
+const ensureDirectory = () => {
+	if (!historyDirectory) {
+		throw new Error("Session history directory is not configured.");
+	}
+	fs.mkdirSync(historyDirectory, { recursive: true });
+	return historyDirectory;
+};
+
+const isValidSessionId = (id) =>
+	typeof id === "string" && /^[\w-]+$/.test(id) && id.length <= 128;
+
+const resolveSessionPath = (id, extension) => {
+	if (!isValidSessionId(id)) {
+		throw new Error(`Invalid session id: ${id}`);
+	}
+	return path.join(ensureDirectory(), `${id}${extension}`);
+};
+
+const resolveSessionFile = (id) =>
+	resolveSessionPath(id, HISTORY_FILE_EXTENSION);
+
+/**
+ * Path of the audio recording kept next to a session record.
+ * @param {string} id Session id
+ * @param {"wav" | "flac"} format Recording format
+ */
+export function resolveSessionAudioFile(id, format) {
+	const extension = `.${format}`;
+	if (!AUDIO_FILE_EXTENSIONS.includes(extension)) {
+		throw new Error(`Unsupported audio recording format: ${format}`);
+	}
+	return resolveSessionPath(id, extension);
+}
+
+const formatDefaultTitle = (startedAt) => {
+	const date = new Date(startedAt);
+	const pad = (value) => String(value).padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())} 会议`;
+};
+
+const readSessionFile = async (file) => {
+	const raw = await fs.promises.readFile(file, "utf8");
+	return JSON.parse(raw);
+};
+
+const sessionText = (session) =>
+	(session.segments ?? []).map((segment) => segment.text).join(" ");
+
+const buildSnippet = (text, query) => {
+	if (!text.length) return "";
+	const index = query ? text.toLowerCase().indexOf(query) : -1;
+	if (index < 0) {
+		return text.length > SNIPPET_RADIUS * 2
+			? `${text.slice(0, SNIPPET_RADIUS * 2)}…`
+			: text;
+	}
+	const start = Math.max(0, index - SNIPPET_RADIUS);
+	const end = Math.min(text.length, index + query.length + SNIPPET_RADIUS);
+	return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+};
+
+const summarizeSession = (session, query) => ({
+	id: session.id,
+	title: session.title,
+	startedAt: session.startedAt,
+	endedAt: session.endedAt,
+	provider: session.provider,
+	audioCaptureType: session.audioCaptureType,
+	language: session.language,
+	audio: session.audio ?? null,
+	sourceFile: session.sourceFile ?? null,
+	segmentCount: session.segments?.length ?? 0,
+	snippet: buildSnippet(sessionText(session), query),
+});
+
+export function setHistoryDirectory(directory) {
+	historyDirectory = directory;
+}
+
+/**
+ * Start a new session record. The record is kept in memory by the caller and
+ * persisted through `saveSession`.
+ * @param {Object} params
+ * @param {string} params.provider Selected transcription provider
+ * @param {string[]} [params.providers] All providers feeding this session
+ * @param {string} params.audioCaptureType Capture type (`electron`, `recall`, `file`)
+ * @param {string | null} [params.language] Transcription language
+ * @param {string | null} [params.sourceFile] Name of the transcribed audio file
+ */
+export function createSessionRecord({
+	provider,
+	providers = [provider],
+	audioCaptureType,
+	language = null,
+	sourceFile = null,
+}) {
+	const startedAt = new Date().toISOString();
+	return {
+		id: `${startedAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`,
+		title: formatDefaultTitle(startedAt),
+		startedAt,
+		endedAt: null,
+		provider,
+		providers,
+		audioCaptureType,
+		language,
+		sourceFile,
+		speakerNames: {},
+		segments: [],
+	};
+}
+
+/**
+ * Give a diarized speaker label (e.g. `Speaker 1`) a display name for the
+ * whole session. An empty name restores the original label.
+ * @param {Object} session Session record, updated in place
+ * @param {string} speaker Speaker label as emitted by the provider
+ * @param {string} name Display name
+ */
+export function applySpeakerName(session, speaker, name) {
+	const label = speaker?.toString?.().trim?.() ?? "";
+	if (!label.length) {
+		throw new Error("Speaker label cannot be empty.");
+	}
+	const normalizedName = name?.toString?.().trim?.() ?? "";
+	const speakerNames = { ...(session.speakerNames ?? {}) };
+	if (normalizedName.length && normalizedName !== label) {
+		speakerNames[label] = normalizedName;
+	} else {
+		delete speakerNames[label];
+	}
+	session.speakerNames = speakerNames;
+	return speakerNames;
+}
+
+// Writes and deletes of one session run one after another, so a change that
+// reads the file always sees the previous write and never revives a deleted
+// session.
+const queueFileOperation = (id, operation) => {
+	const previous = fileOperations.get(id) ?? Promise.resolve();
+	const next = previous.catch(() => {}).then(operation);
+	fileOperations.set(id, next);
+	next
+		.catch(() => {})
+		.finally(() => {
+			if (fileOperations.get(id) === next) fileOperations.delete(id);
+		});
+	return next;
+};
+
+const writeSessionFile = async (session) => {
+	const file = resolveSessionFile(session.id);
+	const temporaryFile = `${file}.tmp`;
+	await fs.promises.writeFile(
+		temporaryFile,
+		JSON.stringify(session, null, 2),
+		"utf8",
+	);
+	await fs.promises.rename(temporaryFile, file);
+};
+
+export async function saveSession(session) {
+	const pending = pendingSaves.get(session.id);
+	if (pending) {
+		clearTimeout(pending);
+		pendingSaves.delete(session.id);
+	}
+	await queueFileOperation(session.id, () => writeSessionFile(session));
+}
+
+/**
+ * Change a saved session on disk, keeping edits made since it was recorded
+ * such as a rename in the history view. For results that arrive after a
+ * session ended; a running session is saved through `scheduleSessionSave`.
+ * @param {string} id Session id
+ * @param {(session: Object) => void} change Updates the saved session in place
+ * @returns {Promise<Object | null>} The saved session, or null when it was deleted
+ */
+export async function updateSession(id, change) {
+	return await queueFileOperation(id, async () => {
+		let session;
+		try {
+			session = await getSession(id);
+		} catch (error) {
+			if (error.code === "ENOENT") return null;
+			throw error;
+		}
+		change(session);
+		await writeSessionFile(session);
+		return session;
+	});
+}
+
+/**
+ * Persist a running session shortly after its last change so a crash loses at
+ * most a few seconds of segments.
+ */
+export function scheduleSessionSave(session) {
+	if (pendingSaves.has(session.id)) return;
+	pendingSaves.set(
+		session.id,
+		setTimeout(() => {
+			pendingSaves.delete(session.id);
+			saveSession(session).catch((error) => {
+				console.error("Failed to save transcription session:", error);
+			});
+		}, SAVE_DEBOUNCE_MS),
+	);
+}
+
+export async function getSession(id) {
+	return await readSessionFile(resolveSessionFile(id));
+}
+
+/**
+ * List saved sessions, newest first.
+ * @param {{query?: string}} [options] Case-insensitive full-text filter over titles and segments
+ */
+export async function listSessions({ query = "" } = {}) {
+	const directory = ensureDirectory();
+	const normalizedQuery = query.toString().trim().toLowerCase();
+	const files = (await fs.promises.readdir(directory)).filter((name) =>
+		name.endsWith(HISTORY_FILE_EXTENSION),
+	);
+
+	const sessions = [];
+	for (const name of files) {
+		let session;
+		try {
+			session = await readSessionFile(path.join(directory, name));
+		} catch (error) {
+			console.error(`Failed to read session history file ${name}:`, error);
+			continue;
+		}
+
+		if (normalizedQuery.length) {
+			const haystack =
+				`${session.title ?? ""}\n${sessionText(session)}`.toLowerCase();
+			if (!haystack.includes(normalizedQuery)) continue;
+		}
+		sessions.push(summarizeSession(session, normalizedQuery));
+	}
+
+	return sessions.sort((left, right) =>
+		(right.startedAt ?? "").localeCompare(left.startedAt ?? ""),
+	);
+}
+
+export async function renameSession(id, title) {
+	const normalizedTitle = title?.toString?.().trim?.() ?? "";
+	if (!normalizedTitle.length) {
+		throw new Error("Session title cannot be empty.");
+	}
+	const session = await updateSession(id, (saved) => {
+		saved.title = normalizedTitle;
+	});
+	if (!session) {
+		throw new Error(`Session ${id} does not exist.`);
+	}
+	return summarizeSession(session, "");
+}
+
+export async function renameSpeaker(id, speaker, name) {
+	let speakerNames = null;
+	const session = await updateSession(id, (saved) => {
+		speakerNames = applySpeakerName(saved, speaker, name);
+	});
+	if (!session) {
+		throw new Error(`Session ${id} does not exist.`);
+	}
+	return speakerNames;
+}
+
+export async function deleteSession(id) {
+	const pending = pendingSaves.get(id);
+	if (pending) {
+		clearTimeout(pending);
+		pendingSaves.delete(id);
+	}
+	await queueFileOperation(id, () =>
+		fs.promises.rm(resolveSessionFile(id), { force: true }),
+	);
+	for (const extension of AUDIO_FILE_EXTENSIONS) {
+		await fs.promises.rm(resolveSessionPath(id, extension), { force: true });
+	}
+}
@@ -0,0 +1,282 @@
+import fs from "node:fs";
+import path from "node:path";
+import { safeStorage } from "electron";
+
+const SETTINGS_FILE_NAME = "settings.json";
+const SECRET_KEY_PATTERN = /(API_KEY|ACCESS_TOKEN|TOKEN|SECRET)$/;
+
+// Options read outside the provider modules. Provider options come from each
+// provider's `envKeys` in the transcription registry.
+export const GENERAL_SETTINGS = [
+	{ key: "RECALL_API_KEY", label: "Recall API Key" },
+	{ key: "RECALL_REGION", label: "Recall 区域" },
+	{
+		key: "TRANSCRIPTION_FALLBACK_PROVIDERS",
+		label: "备用转写提供商（逗号分隔）",
+	},
+	{
+		key: "TRANSCRIPTION_PROVIDER_PATHS",
+		label: "外部提供商模块路径",
+		restartRequired: true,
+	},
+	{ key: "NO_AUDIO_WARNING_SECONDS", label: "无音频警告等待秒数（默认 10）" },
+	{ key: "CAPTURE_FRAME_MS", label: "采集帧长（毫秒，20–1000，默认 100）" },
+	{
+		key: "LOCAL_API_PORT",
+		label: "本地 API 端口（留空关闭）",
+		restartRequired: true,
+	},
+	{ key: "LOCAL_API_TOKEN", label: "本地 API 令牌", restartRequired: true },
+	{ key: "WEBHOOK_URLS", label: "Webhook 地址（逗号分隔）" },
+	{ key: "WEBHOOK_SECRET", label: "Webhook 签名密钥" },
+	{
+		key: "TRANSCRIPT_PIPELINE_FILE",
+		label: "文本后处理配置文件（默认 userData/pipeline.json）",
+	},
+	{
+		key: "TRANSCRIPT_PIPELINE_PROFILE",
+		label: "文本后处理方案（默认 default）",
+	},
+	{
+		key: "DEBUG_RECALL",
+		label: "Recall 调试日志（1 开启）",
+		restartRequired: true,
+	},
+];
+
+// Caption overlay look; applied to an open overlay when saved.
+export const CAPTION_SETTINGS = [
+	{ key: "CAPTION_FONT_FAMILY", label: "字体" },
+	{ key: "CAPTION_FONT_SIZE", label: "字号（px，默认 28）" },
+	{ key: "CAPTION_TEXT_COLOR", label: "文字颜色（默认 #ffffff）" },
+	{
+		key: "CAPTION_BACKGROUND_COLOR",
+		label: "背景颜色（默认 rgba(0, 0, 0, 0.6)）",
+	},
+	{ key: "CAPTION_POSITION", label: "位置（top 或 bottom，默认 bottom）" },
+	{ key: "CAPTION_LINES", label: "显示行数（1–5，默认 2）" },
+	{
+		key: "CAPTION_SHORTCUT",
+		label: "开关快捷键（默认 CommandOrControl+Shift+C）",
+		restartRequired: true,
+	},
+];
+
+// Live translation of final segments; read for every segment.
+export const TRANSLATION_SETTINGS = [
+	{
+		key: "TRANSLATION_PROVIDER",
+		label: "翻译服务（gemini 或 openai，留空关闭）",
+	},
+	{
+		key: "TRANSLATION_TARGET_LANGUAGES",
+		label: "目标语言（逗号分隔，如 en, zh-CN）",
+	},
+	{ key: "TRANSLATION_MODEL", label: "翻译模型（留空使用默认模型）" },
+	{
+		key: "TRANSLATION_OPENAI_BASE_URL",
+		label: "OpenAI 兼容接口地址（默认 https://api.openai.com/v1）",
+	},
+	{ key: "TRANSLATION_OPENAI_API_KEY", label: "OpenAI 兼容接口 API Key" },
+];
+
+// Post-session meeting notes through Gemini (GOOGLE_GENAI_API_KEY).
+export const SUMMARY_SETTINGS = [
+	{ key: "SUMMARY_AUTO", label: "结束后自动生成（1 开启）" },
+	{ key: "SUMMARY_MODEL", label: "纪要模型（默认 models/gemini-2.5-flash）" },
+	{
+		key: "SUMMARY_PROMPT",
+		label: "提示词模板（{{title}} {{date}} {{language}} {{transcript}}）",
+	},
+	{ key: "SUMMARY_PROMPT_FILE", label: "提示词模板文件（优先于上一项）" },
+];
+
+let settingsDirectory = null;
+let storedValues = {}; // key -> plain-text value
+// Values from the developer .env file / shell, used when a key is not set here.
+let environmentFallback = {};
+
+const resolveSettingsFile = () => {
+	if (!settingsDirectory) {
+		throw new Error("Settings directory is not configured.");
+	}
+	return path.join(settingsDirectory, SETTINGS_FILE_NAME);
+};
+
+export const isSecretSetting = (key) => SECRET_KEY_PATTERN.test(key);
+
+const applyToEnvironment = (key) => {
+	const value = storedValues[key] ?? environmentFallback[key];
+	if (value === undefined) {
+		delete process.env[key];
+	} else {
+		process.env[key] = value;
+	}
+};
+
+const encodeValue = (key, value) => {
+	if (!isSecretSetting(key)) {
+		return { value };
+	}
+	if (!safeStorage.isEncryptionAvailable()) {
+		throw new Error("系统不支持加密存储，无法保存密钥。");
+	}
+	return { encrypted: safeStorage.encryptString(value).toString("base64") };
+};
+
+const decodeValue = (key, entry) => {
+	if (typeof entry?.encrypted === "string") {
+		return safeStorage.decryptString(Buffer.from(entry.encrypted, "base64"));
+	}
+	if (typeof entry?.value === "string" && !isSecretSetting(key)) {
+		return entry.value;
+	}
+	return undefined;
+};
+
+const writeSettingsFile = async () => {
+	const values = {};
+	for (const [key, value] of Object.entries(storedValues)) {
+		values[key] = encodeValue(key, value);
+	}
+	const file = resolveSettingsFile();
+	await fs.promises.mkdir(settingsDirectory, { recursive: true });
+	const temporaryFile = `${file}.tmp`;
+	await fs.promises.writeFile(
+		temporaryFile,
+		JSON.stringify({ version: 1, values }, null, 2),
+		"utf8",
+	);
+	await fs.promises.rename(temporaryFile, file);
+};
+
+/**
+ * Load saved settings from `<directory>/settings.json` and apply them on top
+ * of `process.env`. Must run after the app is ready so `safeStorage` works.
+ * @param {string} directory Usually `app.getPath("userData")`
+ */
+export async function loadSettings(directory) {
+	settingsDirectory = directory;
+	environmentFallback = { ...process.env };
+	storedValues = {};
+
+	let saved;
+	try {
+		saved = JSON.parse(
+			await fs.promises.readFile(resolveSettingsFile(), "utf8"),
+		);
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			console.error("Failed to read settings:", error);
+		}
+		return;
+	}
+
+	for (const [key, entry] of Object.entries(saved?.values ?? {})) {
+		try {
+			const value = decodeValue(key, entry);
+			if (value !== undefined) {
+				storedValues[key] = value;
+				applyToEnvironment(key);
+			}
+		} catch (error) {
+			console.error(`Failed to decrypt setting ${key}:`, error);
+		}
+	}
+}
+
+/**
+ * Describe every editable setting, grouped for the settings window. Secret
+ * values never leave the main process; only whether they are set.
+ * @param {Array<{value: string; label: string; envKeys: string[]}>} providers Output of `describeProviders()`
+ */
+export function describeSettings(providers = []) {
+	const describe = ({ key, label = key, restartRequired = false }) => {
+		const secret = isSecretSetting(key);
+		const source =
+			storedValues[key] !== undefined
+				? "settings"
+				: environmentFallback[key]
+					? "env"
+					: null;
+		return {
+			key,
+			label,
+			secret,
+			restartRequired,
+			source,
+			value: secret ? null : (storedValues[key] ?? ""),
+			fallback: secret ? null : (environmentFallback[key] ?? ""),
+		};
+	};
+
+	return [
+		{
+			id: "general",
+			label: "通用",
+			settings: GENERAL_SETTINGS.map(describe),
+		},
+		{
+			id: "caption",
+			label: "字幕浮窗",
+			settings: CAPTION_SETTINGS.map(describe),
+		},
+		{
+			id: "translation",
+			label: "实时翻译",
+			settings: TRANSLATION_SETTINGS.map(describe),
+		},
+		{
+			id: "summary",
+			label: "会议纪要",
+			settings: SUMMARY_SETTINGS.map(describe),
+		},
+		...providers
+			.filter((provider) => provider.envKeys?.length)
+			.map((provider) => ({
+				id: provider.value,
+				label: provider.label,
+				settings: provider.envKeys.map((key) => describe({ key })),
+			})),
+	];
+}
+
+/**
+ * Save changed settings and apply them immediately. Only keys listed by
+ * `describeSettings()` are accepted; the values end up in `process.env`.
+ * @param {Record<string, string | null>} changes Empty string or null clears a key so the .env fallback applies again
+ * @param {Array<{envKeys: string[]}>} providers Output of `describeProviders()`
+ * @throws {Error} When a key is not an editable setting
+ */
+export async function updateSettings(changes = {}, providers = []) {
+	const editableKeys = new Set(
+		describeSettings(providers).flatMap((group) =>
+			group.settings.map((setting) => setting.key),
+		),
+	);
+	const unknownKey = Object.keys(changes).find((key) => !editableKeys.has(key));
+	if (unknownKey !== undefined) {
+		throw new Error(`Invalid setting key: ${unknownKey}`);
+	}
+
+	const previous = { ...storedValues };
+	for (const [key, rawValue] of Object.entries(changes)) {
+		const value = rawValue?.toString?.().trim?.() ?? "";
+		if (value.length) {
+			storedValues[key] = value;
+		} else {
+			delete storedValues[key];
+		}
+	}
+
+	try {
+		await writeSettingsFile();
+	} catch (error) {
+		storedValues = previous;
+		throw error;
+	}
+
+	for (const key of Object.keys(changes)) {
+		applyToEnvironment(key);
+	}
+}
@@ -0,0 +1,115 @@
+const api = window.electronAPI;
+const formEl = document.getElementById("settingsForm");
+const noticeEl = document.getElementById("settingsNotice");
+const statusEl = document.getElementById("settingsStatus");
+
+const SOURCE_LABELS = {
+	settings: "已保存",
+	env: "来自 .env（开发环境）",
+};
+
+const describeSource = (setting) =>
+	[
+		SOURCE_LABELS[setting.source] ?? "未设置",
+		setting.restartRequired ? "重启后生效" : null,
+	]
+		.filter(Boolean)
+		.join(" · ");
+
+const createField = (setting) => {
+	const label = document.createElement("label");
+	const caption = document.createElement("span");
+	caption.textContent = setting.label;
+	const source = document.createElement("small");
+	source.textContent = `${setting.key} · ${describeSource(setting)}`;
+	caption.append(source);
+
+	const input = document.createElement("input");
+	input.name = setting.key;
+	input.autocomplete = "off";
+	input.spellcheck = false;
+	if (setting.secret) {
+		input.type = "password";
+		input.placeholder =
+			setting.source === "settings" ? "已保存，留空保持不变" : "未设置";
+	} else {
+		input.type = "text";
+		input.value = setting.value ?? "";
+		input.placeholder = setting.fallback || "";
+	}
+	input.dataset.secret = String(setting.secret);
+	input.dataset.initial = input.value;
+
+	label.append(caption, input);
+	if (setting.secret && setting.source === "settings") {
+		const clear = document.createElement("input");
+		clear.type = "checkbox";
+		clear.name = `${setting.key}__clear`;
+		clear.title = "清除已保存的密钥";
+		const clearLabel = document.createElement("small");
+		clearLabel.append(clear, " 清除已保存的密钥");
+		caption.append(clearLabel);
+	}
+	return label;
+};
+
+const render = (groups) => {
+	formEl.innerHTML = "";
+	for (const group of groups) {
+		const fieldset = document.createElement("fieldset");
+		const legend = document.createElement("legend");
+		legend.textContent = group.label;
+		fieldset.append(legend, ...group.settings.map(createField));
+		formEl.append(fieldset);
+	}
+};
+
+const collectChanges = () => {
+	const changes = {};
+	for (const input of formEl.querySelectorAll("input[data-secret]")) {
+		const clear = formEl.elements.namedItem(`${input.name}__clear`);
+		if (clear?.checked) {
+			changes[input.name] = null;
+		} else if (input.dataset.secret === "true") {
+			if (input.value.trim().length) {
+				changes[input.name] = input.value;
+			}
+		} else if (input.value !== input.dataset.initial) {
+			changes[input.name] = input.value;
+		}
+	}
+	return changes;
+};
+
+const load = async () => {
+	const result = await api.getSettings();
+	if (!result?.success) {
+		noticeEl.textContent = result?.message || "无法读取设置";
+		noticeEl.className = "notice error";
+		return;
+	}
+	if (!result.encryptionAvailable) {
+		noticeEl.textContent =
+			"当前系统不支持加密存储，密钥无法保存，只能使用 .env。";
+		noticeEl.className = "notice error";
+	}
+	render(result.groups);
+};
+
+formEl.addEventListener("submit", async (event) => {
+	event.preventDefault();
+	const changes = collectChanges();
+	if (!Object.keys(changes).length) {
+		statusEl.textContent = "没有修改";
+		return;
+	}
+	const result = await api.saveSettings(changes);
+	if (!result?.success) {
+		statusEl.textContent = result?.message || "保存失败";
+		return;
+	}
+	statusEl.textContent = "已保存 ✅";
+	await load();
+});
+
+void load();
@@ -0,0 +1,53 @@
+const BYTES_PER_SAMPLE = 2;
+// Peaks below this (about -50 dBFS) count as no signal: a muted meeting or the
+// wrong output device still produces a little digital noise.
+const SIGNAL_THRESHOLD = 0.003;
+
+export const DEFAULT_NO_AUDIO_WARNING_MS = 10000;
+
+const peakLevel = (chunk) => {
+	let peak = 0;
+	for (let offset = 0; offset + 1 < chunk.length; offset += BYTES_PER_SAMPLE) {
+		peak = Math.max(peak, Math.abs(chunk.readInt16LE(offset)));
+	}
+	return peak / 32768;
+};
+
+/**
+ * Watch captured 16-bit PCM for a signal. `onSilent` fires once when no
+ * sample has crossed the threshold for `warningMs`, including when no audio
+ * arrives at all, and `onSignal` once the signal comes back. Call `check()`
+ * periodically; `push()` only sees audio that actually arrives.
+ * @param {Object} params
+ * @param {number} [params.warningMs] Silence that triggers the warning
+ * @param {(silentMs: number) => void} [params.onSilent] Called when the warning starts
+ * @param {() => void} [params.onSignal] Called when a signal returns after a warning
+ */
+export function createSignalMonitor({
+	warningMs = DEFAULT_NO_AUDIO_WARNING_MS,
+	onSilent,
+	onSignal,
+}) {
+	let lastSignalAt = Date.now();
+	let warned = false;
+
+	return {
+		/**
+		 * @param {Buffer} chunk Interleaved 16-bit little-endian PCM
+		 */
+		push(chunk) {
+			if (peakLevel(chunk) < SIGNAL_THRESHOLD) return;
+			lastSignalAt = Date.now();
+			if (warned) {
+				warned = false;
+				onSignal?.();
+			}
+		},
+		check() {
+			const silentMs = Date.now() - lastSignalAt;
+			if (warned || silentMs < warningMs) return;
+			warned = true;
+			onSilent?.(silentMs);
+		},
+	};
+}
@@ -0,0 +1,104 @@
+/**
+ * Render final segments grouped into consecutive runs by speaker. Each run
+ * starts with an editable speaker name; renaming applies to every run of that
+ * speaker, past and future.
+ * @param {Object} params
+ * @param {HTMLElement} params.container Element the groups are rendered into
+ * @param {(speaker: string, name: string) => void} [params.onRename] Called after a speaker is renamed
+ * @param {(visible: boolean) => void} [params.onVisibilityChange] Called when the first speaker appears or the view is cleared
+ */
+export function createSpeakerTranscript({
+	container,
+	onRename,
+	onVisibilityChange,
+}) {
+	let speakerNames = {};
+	let lastGroup = null;
+
+	const displayName = (speaker) => speakerNames[speaker] ?? speaker;
+
+	const setVisible = (visible) => {
+		if (container.hidden === !visible) return;
+		container.hidden = !visible;
+		onVisibilityChange?.(visible);
+	};
+
+	const renameSpeaker = (speaker, name) => {
+		const normalizedName = name.trim();
+		speakerNames = { ...speakerNames };
+		if (normalizedName.length && normalizedName !== speaker) {
+			speakerNames[speaker] = normalizedName;
+		} else {
+			delete speakerNames[speaker];
+		}
+		for (const input of container.querySelectorAll(".speaker-name")) {
+			if (input.dataset.speaker === speaker) {
+				input.value = displayName(speaker);
+			}
+		}
+		onRename?.(speaker, normalizedName);
+	};
+
+	const createGroup = (speaker) => {
+		const groupEl = document.createElement("div");
+		groupEl.className = "speaker-group";
+		if (speaker) {
+			const nameEl = document.createElement("input");
+			nameEl.type = "text";
+			nameEl.className = "speaker-name";
+			nameEl.dataset.speaker = speaker;
+			nameEl.value = displayName(speaker);
+			nameEl.title = `${speaker}（点击重命名）`;
+			nameEl.addEventListener("change", () => {
+				renameSpeaker(speaker, nameEl.value);
+			});
+			groupEl.append(nameEl);
+		}
+		const textEl = document.createElement("p");
+		groupEl.append(textEl);
+		container.append(groupEl);
+		return { speaker, textEl };
+	};
+
+	const appendSegment = ({ text, speaker = null }) => {
+		const normalized = text?.trim?.() ?? "";
+		if (!normalized.length) return;
+		if (!lastGroup || lastGroup.speaker !== speaker) {
+			lastGroup = createGroup(speaker);
+		}
+		const previous = lastGroup.textEl.textContent;
+		lastGroup.textEl.textContent = previous.length
+			? `${previous} ${normalized}`
+			: normalized;
+	};
+
+	const hasSpeakers = (segments) => segments.some((segment) => segment.speaker);
+
+	return {
+		/**
+		 * Clear the view, optionally showing a saved session's segments.
+		 * @param {Array<{text: string; speaker?: string | null}>} [segments]
+		 * @param {Record<string, string>} [names] Speaker label -> display name
+		 */
+		reset(segments = [], names = {}) {
+			speakerNames = { ...names };
+			lastGroup = null;
+			container.innerHTML = "";
+			for (const segment of segments) {
+				appendSegment(segment);
+			}
+			setVisible(hasSpeakers(segments));
+		},
+		/**
+		 * Append a final segment from the running session.
+		 * @param {{text: string; speaker?: string | null}} segment
+		 */
+		addSegment(segment) {
+			appendSegment(segment);
+			if (segment.speaker) {
+				setVisible(true);
+			}
+			container.scrollTop = container.scrollHeight;
+		},
+	};
+}
@@ -0,0 +1,156 @@
+// Records known PCM through `createAudioRecorder()` and reads it back: WAV
+// headers are parsed by hand, FLAC files are decoded with the reference libFLAC
+// decoder (`@wasm-audio-decoders/flac`) and must give back every sample.
+// Run `node audioRecorder.js` from this directory.
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { FLACDecoder } from "@wasm-audio-decoders/flac";
+import { createAudioRecorder } from "../audioRecorder.js";
+
+// Odd sizes so chunks split sample frames and FLAC blocks.
+const CHUNK_BYTES = [1, 3, 1000, 8191, 4097];
+
+const cases = [
+	{ name: "mono 16 kHz", sampleRate: 16000, channels: 1, seconds: 1.3 },
+	{ name: "stereo 48 kHz", sampleRate: 48000, channels: 2, seconds: 0.4 },
+	// Not one of the frame header's rate codes, so it is written in full.
+	{ name: "stereo 11025 Hz", sampleRate: 11025, channels: 2, seconds: 0.9 },
+	{ name: "single sample", sampleRate: 16000, channels: 1, seconds: 1 / 16000 },
+];
+
+// A tone per channel, a full-scale square, noise and silence, so the encoder
+// sees both predictable and unpredictable blocks.
+const buildPcm = ({ sampleRate, channels, seconds }) => {
+	const frames = Math.round(sampleRate * seconds);
+	const pcm = Buffer.alloc(frames * channels * 2);
+	let seed = 1;
+	const noise = () => {
+		seed = (seed * 1103515245 + 12345) % 2 ** 31;
+		return (seed / 2 ** 31) * 2 - 1;
+	};
+	for (let frame = 0; frame < frames; frame += 1) {
+		const section = Math.floor((frame / frames) * 4);
+		for (let channel = 0; channel < channels; channel += 1) {
+			const tone = Math.sin(
+				(2 * Math.PI * 440 * (channel + 1) * frame) / sampleRate,
+			);
+			const value = [
+				tone * 20000,
+				frame % 64 < 32 ? 32767 : -32768,
+				noise() * 32767,
+				0,
+			][section];
+			pcm.writeInt16LE(
+				Math.max(-32768, Math.min(32767, Math.round(value))),
+				(frame * channels + channel) * 2,
+			);
+		}
+	}
+	return pcm;
+};
+
+const record = async ({ filePath, format, sampleRate, channels }, pcm) => {
+	const recorder = await createAudioRecorder({
+		filePath,
+		format,
+		sampleRate,
+		channels,
+	});
+	let offset = 0;
+	for (let index = 0; offset < pcm.length; index += 1) {
+		const size = CHUNK_BYTES[index % CHUNK_BYTES.length];
+		recorder.write(pcm.subarray(offset, offset + size));
+		offset += size;
+	}
+	await recorder.close();
+	return fs.promises.readFile(filePath);
+};
+
+const checkWav = (file, { sampleRate, channels }, pcm) => {
+	assert.equal(file.toString("ascii", 0, 4), "RIFF");
+	assert.equal(file.readUInt32LE(4), file.length - 8, "RIFF size");
+	assert.equal(file.toString("ascii", 8, 12), "WAVE");
+	assert.equal(file.toString("ascii", 12, 16), "fmt ");
+	assert.equal(file.readUInt32LE(16), 16, "fmt chunk size");
+	assert.equal(file.readUInt16LE(20), 1, "PCM format");
+	assert.equal(file.readUInt16LE(22), channels, "channels");
+	assert.equal(file.readUInt32LE(24), sampleRate, "sample rate");
+	assert.equal(file.readUInt32LE(28), sampleRate * channels * 2, "byte rate");
+	assert.equal(file.readUInt16LE(32), channels * 2, "block align");
+	assert.equal(file.readUInt16LE(34), 16, "bits per sample");
+	assert.equal(file.toString("ascii", 36, 40), "data");
+	assert.equal(file.readUInt32LE(40), pcm.length, "data size");
+	assert.ok(file.subarray(44).equals(pcm), "WAV data is the PCM written");
+};
+
+const checkFlac = async (file, { sampleRate, channels }, pcm) => {
+	const frames = pcm.length / (channels * 2);
+	// STREAMINFO: sample count in the low 36 bits of bytes 21-25, then the MD5.
+	const info = file.subarray(8, 8 + 34);
+	const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+	assert.equal(totalSamples, frames, "STREAMINFO sample count");
+	assert.ok(
+		info.subarray(18).equals(crypto.createHash("md5").update(pcm).digest()),
+		"STREAMINFO MD5",
+	);
+
+	const decoder = new FLACDecoder();
+	await decoder.ready;
+	try {
+		const decoded = await decoder.decodeFile(new Uint8Array(file));
+		assert.deepEqual(decoded.errors, [], "libFLAC reports no errors");
+		assert.equal(decoded.sampleRate, sampleRate, "decoded sample rate");
+		assert.equal(decoded.channelData.length, channels, "decoded channels");
+		assert.equal(decoded.samplesDecoded, frames, "decoded sample count");
+		for (let channel = 0; channel < channels; channel += 1) {
+			const samples = decoded.channelData[channel];
+			for (let frame = 0; frame < frames; frame += 1) {
+				const expected = pcm.readInt16LE((frame * channels + channel) * 2);
+				// The decoder scales 16-bit samples to floats by 1 / 32767.
+				const actual = Math.round(samples[frame] * 32767);
+				if (actual !== expected) {
+					assert.fail(
+						`channel ${channel} sample ${frame}: ${actual} !== ${expected}`,
+					);
+				}
+			}
+		}
+	} finally {
+		decoder.free();
+	}
+};
+
+const directory = await fs.promises.mkdtemp(
+	path.join(os.tmpdir(), "audio-recorder-"),
+);
+let failures = 0;
+try {
+	for (const testCase of cases) {
+		const pcm = buildPcm(testCase);
+		for (const format of ["wav", "flac"]) {
+			const filePath = path.join(directory, `recording.${format}`);
+			try {
+				const file = await record({ ...testCase, filePath, format }, pcm);
+				if (format === "wav") {
+					checkWav(file, testCase, pcm);
+				} else {
+					await checkFlac(file, testCase, pcm);
+				}
+				console.debug(`✅ ${format} ${testCase.name}`);
+			} catch (error) {
+				failures += 1;
+				console.error(`❌ ${format} ${testCase.name}:`, error.message);
+			}
+		}
+	}
+} finally {
+	await fs.promises.rm(directory, { recursive: true, force: true });
+}
+
+if (failures) {
+	process.exit(1);
+}
@@ -0,0 +1,121 @@
+// Fixtures for the Chinese ITN and punctuation stages of the transcript
+// pipeline, and for the default pipeline that applies them. Run `node itn.js` from this directory; it exits non-zero and
+// lists the failing rows when an output changes.
+
+import assert from "node:assert/strict";
+import path from "node:path";
+import { inverseNormalizeChinese, restorePunctuation } from "../chineseText.js";
+import {
+	DEFAULT_PIPELINE_PROFILE,
+	loadTranscriptPipelines,
+} from "../transcriptPipeline.js";
+
+const ITN_FIXTURES = [
+	// Dates
+	["二零二六年十月", "2026年10月"],
+	["我们二零二六年十月十九日开会", "我们2026年10月19日开会"],
+	["十月五号交付", "10月5号交付"],
+	["三月三十一号之前", "3月31号之前"],
+	["二零二五年的预算", "2025年的预算"],
+	["十月份", "十月份"],
+	["三年以后", "三年以后"],
+	// Times
+	["三点十五分", "3:15"],
+	["下午三点半开会", "下午3:30开会"],
+	["十二点零五分", "12:05"],
+	["九点一刻", "9:15"],
+	["晚上八点钟见", "晚上8点见"],
+	["早上九点到", "早上9点到"],
+	["二十五点七十分", "二十五点七十分"],
+	// Percentages
+	["百分之三十", "30%"],
+	["增长了百分之三点五", "增长了3.5%"],
+	["百分之百", "100%"],
+	// Decimals
+	["三点五", "3.5"],
+	["大约二十点二五公里", "大约20.25公里"],
+	["一点一点地改", "一点一点地改"],
+	["好一点", "好一点"],
+	["这一点一定要注意", "这一点一定要注意"],
+	["有一点一直没想通", "有一点一直没想通"],
+	["这两点三个人负责", "这两点三个人负责"],
+	["一点一样的都没有", "一点一样的都没有"],
+	// Currency
+	["三块五", "3.5元"],
+	["一块五毛钱", "1.5元"],
+	["二十块钱", "20元"],
+	["三百五十元", "350元"],
+	["两万五千元", "25000元"],
+	["一千两百美元", "1200美元"],
+	["两块蛋糕", "两块蛋糕"],
+	["一块一块地搬", "一块一块地搬"],
+	["元旦快乐", "元旦快乐"],
+	// Phone numbers
+	["电话是幺三八零零一三八零零零", "电话是13800138000"],
+	["分机号二三四", "分机号二三四"],
+	// Untouched
+	["没有数字的句子", "没有数字的句子"],
+	["一起去吧", "一起去吧"],
+];
+
+const PUNCTUATION_FIXTURES = [
+	["今天我们讨论发布计划", "今天我们讨论发布计划。"],
+	["你明天来吗", "你明天来吗？"],
+	["这个方案怎么样呢", "这个方案怎么样呢？"],
+	[
+		"今天我们讨论发布计划 下周再确认测试结果",
+		"今天我们讨论发布计划，下周再确认测试结果。",
+	],
+	["我们 今天 讨论 发布 计划", "我们 今天 讨论 发布 计划。"],
+	["已经有标点了，不用改", "已经有标点了，不用改"],
+	["下午3:30开会", "下午3:30开会。"],
+	["增长了3.5%", "增长了3.5%。"],
+	["okay so the deadline is friday", "okay so the deadline is friday"],
+	["", ""],
+];
+
+// Without a pipeline file: [provider, input, expected].
+const DEFAULT_PIPELINE_FIXTURES = [
+	["deepgram", "二零二四年三月五号", "2024年3月5号。"],
+	["googleGenai", "下午三点半开会 你来吗", "下午3:30开会，你来吗？"],
+	[
+		"deepgram",
+		"okay so the deadline is friday",
+		"okay so the deadline is friday",
+	],
+	["assembly", "二零二四年三月五號開會", "2024年3月5号开会。"],
+];
+
+const failures = [];
+const check = (name, convert, fixtures) => {
+	for (const [input, expected] of fixtures) {
+		try {
+			assert.equal(convert(input), expected);
+		} catch (error) {
+			failures.push(`${name}: ${JSON.stringify(input)}\n  ${error.message}`);
+		}
+	}
+};
+
+check("itn", inverseNormalizeChinese, ITN_FIXTURES);
+check("punctuation", restorePunctuation, PUNCTUATION_FIXTURES);
+
+const pipelines = await loadTranscriptPipelines(
+	path.join(import.meta.dirname, "missing-pipeline.json"),
+);
+for (const [provider, input, expected] of DEFAULT_PIPELINE_FIXTURES) {
+	check(
+		`default pipeline (${provider})`,
+		(text) =>
+			pipelines.resolve(DEFAULT_PIPELINE_PROFILE, provider).processText(text),
+		[[input, expected]],
+	);
+}
+
+if (failures.length) {
+	console.error(failures.join("\n"));
+	process.exit(1);
+}
+console.debug(
+	`✅ ${ITN_FIXTURES.length + PUNCTUATION_FIXTURES.length + DEFAULT_PIPELINE_FIXTURES.length} fixtures passed`,
+);
@@ -0,0 +1,82 @@
+// Checks the webhook queue against a local server where one URL keeps
+// failing: the other URL must still get every event, and the dispatcher must
+// wait for the retry instead of spinning on the deliveries queued behind the
+// failing one. Once the failing URL is removed from the settings, its queued
+// deliveries are dropped. Run `node webhookQueue.js` from this directory.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { createWebhookDispatcher } from "../webhooks.js";
+
+const EVENT_COUNT = 3;
+const OBSERVE_MS = 1500;
+// The first retry is 5 s away, so a handful of timers is plenty; fetch sets
+// a few of its own. A busy loop schedules well over a thousand.
+const MAX_TIMERS = 30;
+
+const received = { ok: 0, fail: 0 };
+const server = http.createServer(async (request, response) => {
+	for await (const _chunk of request) {
+		// Drain the body.
+	}
+	const route = request.url === "/fail" ? "fail" : "ok";
+	received[route] += 1;
+	response.writeHead(route === "fail" ? 503 : 204).end();
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const directory = await fs.promises.mkdtemp(
+	path.join(os.tmpdir(), "webhook-queue-"),
+);
+
+const originalSetTimeout = globalThis.setTimeout;
+let timers = 0;
+globalThis.setTimeout = (...args) => {
+	timers += 1;
+	return originalSetTimeout(...args);
+};
+
+let urls = [`${base}/ok`, `${base}/fail`];
+const dispatcher = createWebhookDispatcher({
+	directory,
+	resolveConfig: () => ({ urls }),
+});
+const originalWarn = console.warn;
+console.warn = () => {};
+try {
+	await dispatcher.start();
+	for (let index = 0; index < EVENT_COUNT; index += 1) {
+		await dispatcher.enqueue("segment.final", { index });
+	}
+	await new Promise((resolve) => originalSetTimeout(resolve, OBSERVE_MS));
+	const scheduled = timers;
+	const pending = await fs.promises.readdir(directory);
+
+	assert.equal(received.ok, EVENT_COUNT, "every event reaches the good URL");
+	assert.equal(received.fail, 1, "the failing URL is not retried yet");
+	assert.ok(
+		scheduled <= MAX_TIMERS,
+		`${scheduled} timers scheduled in ${OBSERVE_MS} ms`,
+	);
+	assert.equal(pending.length, EVENT_COUNT, "failed deliveries stay queued");
+	console.debug(`✅ webhook queue: ${scheduled} timers in ${OBSERVE_MS} ms`);
+
+	urls = [`${base}/ok`];
+	await dispatcher.refresh();
+	await dispatcher.stop();
+	assert.deepEqual(
+		await fs.promises.readdir(directory),
+		[],
+		"deliveries to a removed URL are dropped",
+	);
+	assert.equal(received.fail, 1, "the removed URL is not retried");
+	console.debug("✅ webhook queue: removed URL dropped");
+} finally {
+	console.warn = originalWarn;
+	globalThis.setTimeout = originalSetTimeout;
+	server.close();
+	await fs.promises.rm(directory, { recursive: true, force: true });
+}
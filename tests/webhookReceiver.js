@@ -0,0 +1,56 @@
+// Local receiver for trying out webhooks: point WEBHOOK_URLS at
+// http://127.0.0.1:8787/ in the settings window, then run
+// `node webhookReceiver.js [port] [--fail=N]` from this directory. Signatures
+// are checked against WEBHOOK_SECRET from ../.env or the shell.
+// `--fail=N` answers the first N requests with 503 to exercise the retries.
+
+import crypto from "node:crypto";
+import http from "node:http";
+import dotenv from "dotenv";
+import { signWebhookBody } from "../webhooks.js";
+
+dotenv.config({ path: "../.env" });
+
+const port = Number(process.argv[2]) || 8787;
+const failArgument = process.argv.find((argument) =>
+	argument.startsWith("--fail="),
+);
+let failuresLeft = failArgument ? Number(failArgument.split("=")[1]) : 0;
+const secret = process.env.WEBHOOK_SECRET ?? "";
+
+const verify = (request, body) => {
+	const signature = request.headers["x-transcript-signature"];
+	if (!secret) return signature ? "未配置密钥，无法校验" : "未签名";
+	if (typeof signature !== "string") return "❌ 缺少签名";
+	const expected = signWebhookBody(
+		secret,
+		request.headers["x-transcript-timestamp"] ?? "",
+		body,
+	);
+	const valid =
+		signature.length === expected.length &&
+		crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+	return valid ? "✅ 签名有效" : "❌ 签名无效";
+};
+
+http
+	.createServer(async (request, response) => {
+		let body = "";
+		for await (const chunk of request) {
+			body += chunk;
+		}
+		if (failuresLeft > 0) {
+			failuresLeft -= 1;
+			console.debug(`⚠️ 模拟失败 (${request.headers["x-transcript-delivery"]})`);
+			response.writeHead(503).end();
+			return;
+		}
+		console.debug(
+			`📨 ${request.headers["x-transcript-event"]} ${verify(request, body)}`,
+		);
+		console.debug(JSON.stringify(JSON.parse(body), null, 2));
+		response.writeHead(204).end();
+	})
+	.listen(port, "127.0.0.1", () => {
+		console.debug(`✅ Listening on http://127.0.0.1:${port}/`);
+	});
@@ -0,0 +1,255 @@
+import { Document, HeadingLevel, Packer, Paragraph, TextRun } from "docx";
+
+// Used for sessions recorded before segments carried timings.
+const FALLBACK_SEGMENT_DURATION_MS = 3000;
+
+export const EXPORT_FORMATS = {
+	srt: { extension: "srt", label: "SubRip 字幕 (.srt)" },
+	vtt: { extension: "vtt", label: "WebVTT 字幕 (.vtt)" },
+	txt: { extension: "txt", label: "纯文本 (.txt)" },
+	json: { extension: "json", label: "结构化 JSON (.json)" },
+	docx: { extension: "docx", label: "Word 文档 (.docx)" },
+	md: { extension: "md", label: "Markdown 会议纪要 (.md)" },
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+const formatTimestamp = (ms, separator) => {
+	const totalMs = Math.max(0, Math.round(ms));
+	const hours = Math.floor(totalMs / 3600000);
+	const minutes = Math.floor((totalMs % 3600000) / 60000);
+	const seconds = Math.floor((totalMs % 60000) / 1000);
+	return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+const formatClock = (ms) => formatTimestamp(ms, ".").slice(0, 8);
+
+/**
+ * Resolve start/end times for every segment, filling gaps for segments that
+ * were saved without timings.
+ */
+const resolveTimedSegments = (session) => {
+	let previousEnd = 0;
+	return (session.segments ?? [])
+		.filter((segment) => segment?.text?.trim?.().length)
+		.map((segment) => {
+			const startMs = Number.isFinite(segment.startMs)
+				? segment.startMs
+				: previousEnd;
+			const endMs =
+				Number.isFinite(segment.endMs) && segment.endMs > startMs
+					? segment.endMs
+					: startMs + FALLBACK_SEGMENT_DURATION_MS;
+			previousEnd = endMs;
+			return { ...segment, text: segment.text.trim(), startMs, endMs };
+		});
+};
+
+const hasMultipleSources = (session) => (session.providers?.length ?? 0) > 1;
+
+/**
+ * Display name of a segment's speaker, honouring names given in the UI.
+ */
+export const resolveSpeakerName = (session, segment) =>
+	segment.speaker
+		? (session.speakerNames?.[segment.speaker] ?? segment.speaker)
+		: null;
+
+const labelSegment = (session, segment) => {
+	const source =
+		hasMultipleSources(session) && segment.key ? `[${segment.key}] ` : "";
+	const speaker = resolveSpeakerName(session, segment);
+	return `${source}${speaker ? `${speaker}: ` : ""}${segment.text}`;
+};
+
+const translationLines = (segment) =>
+	Object.values(segment.translations ?? {})
+		.map((translation) => translation?.trim?.() ?? "")
+		.filter((translation) => translation.length);
+
+// Subtitle cues carry the translations as extra lines under the original.
+const formatCueText = (session, segment) =>
+	[labelSegment(session, segment), ...translationLines(segment)].join("\n");
+
+export function toSrt(session) {
+	return resolveTimedSegments(session)
+		.map(
+			(segment, index) =>
+				`${index + 1}\n${formatTimestamp(segment.startMs, ",")} --> ${formatTimestamp(segment.endMs, ",")}\n${formatCueText(session, segment)}\n`,
+		)
+		.join("\n");
+}
+
+export function toWebVtt(session) {
+	const cues = resolveTimedSegments(session).map(
+		(segment) =>
+			`${formatTimestamp(segment.startMs, ".")} --> ${formatTimestamp(segment.endMs, ".")}\n${formatCueText(session, segment)}\n`,
+	);
+	return ["WEBVTT\n", ...cues].join("\n");
+}
+
+export function toPlainText(session) {
+	const lines = resolveTimedSegments(session).flatMap((segment) => [
+		labelSegment(session, segment),
+		...translationLines(segment).map((translation) => `    ${translation}`),
+	]);
+	return `${lines.join("\n")}\n`;
+}
+
+export function toJson(session) {
+	return `${JSON.stringify(
+		{
+			id: session.id,
+			title: session.title,
+			startedAt: session.startedAt,
+			endedAt: session.endedAt,
+			provider: session.provider,
+			providers: session.providers,
+			audioCaptureType: session.audioCaptureType,
+			language: session.language,
+			speakerNames: session.speakerNames ?? {},
+			segments: resolveTimedSegments(session).map((segment) => ({
+				...segment,
+				speakerName: resolveSpeakerName(session, segment),
+			})),
+		},
+		null,
+		2,
+	)}\n`;
+}
+
+export async function toDocx(session) {
+	const meta = [
+		session.startedAt ? new Date(session.startedAt).toLocaleString() : null,
+		session.provider,
+		session.language,
+	]
+		.filter(Boolean)
+		.join(" · ");
+
+	const document = new Document({
+		title: session.title,
+		sections: [
+			{
+				children: [
+					new Paragraph({ text: session.title, heading: HeadingLevel.TITLE }),
+					new Paragraph({
+						children: [new TextRun({ text: meta, italics: true })],
+					}),
+					...resolveTimedSegments(session).flatMap((segment) => [
+						new Paragraph({
+							children: [
+								new TextRun({
+									text: `[${formatClock(segment.startMs)}] `,
+									color: "888888",
+								}),
+								new TextRun(labelSegment(session, segment)),
+							],
+						}),
+						...translationLines(segment).map(
+							(translation) =>
+								new Paragraph({
+									indent: { left: 720 },
+									children: [new TextRun({ text: translation, italics: true })],
+								}),
+						),
+					]),
+				],
+			},
+		],
+	});
+
+	return await Packer.toBuffer(document);
+}
+
+const formatActionItem = ({ task, owner, due }) => {
+	const details = [
+		owner ? `负责人：${owner}` : null,
+		due ? `截止：${due}` : null,
+	]
+		.filter(Boolean)
+		.join("，");
+	return `- [ ] ${task}${details ? `（${details}）` : ""}`;
+};
+
+const markdownList = (items, format = (item) => `- ${item}`) =>
+	items?.length ? items.map(format) : ["- 无"];
+
+/**
+ * The meeting notes of a session as Markdown sections, empty when no summary
+ * was generated.
+ */
+export function toSummaryMarkdown(session) {
+	const summary = session.summary;
+	if (!summary) return "";
+	return [
+		"## 摘要",
+		"",
+		summary.summary || "—",
+		"",
+		"## 待办事项",
+		"",
+		...markdownList(summary.actionItems, formatActionItem),
+		"",
+		"## 决定",
+		"",
+		...markdownList(summary.decisions),
+		"",
+		"## 待解决问题",
+		"",
+		...markdownList(summary.openQuestions),
+		"",
+	].join("\n");
+}
+
+export function toMarkdown(session) {
+	const meta = [
+		session.startedAt ? new Date(session.startedAt).toLocaleString() : null,
+		session.provider,
+		session.language,
+	]
+		.filter(Boolean)
+		.join(" · ");
+	const transcript = resolveTimedSegments(session).flatMap((segment) => [
+		`- **[${formatClock(segment.startMs)}]** ${labelSegment(session, segment)}`,
+		...translationLines(segment).map((translation) => `  > ${translation}`),
+	]);
+	return [
+		`# ${session.title}`,
+		"",
+		`_${meta}_`,
+		"",
+		toSummaryMarkdown(session),
+		"## 转录",
+		"",
+		...(transcript.length ? transcript : ["（无转录内容）"]),
+		"",
+	]
+		.filter((line, index, lines) => line !== "" || lines[index - 1] !== "")
+		.join("\n");
+}
+
+/**
+ * Render a session in the requested export format.
+ * @param {Object} session Session record from sessionHistory.js
+ * @param {keyof typeof EXPORT_FORMATS} format
+ * @returns {Promise<string | Buffer>}
+ */
+export async function renderTranscriptExport(session, format) {
+	switch (format) {
+		case "srt":
+			return toSrt(session);
+		case "vtt":
+			return toWebVtt(session);
+		case "txt":
+			return toPlainText(session);
+		case "json":
+			return toJson(session);
+		case "docx":
+			return await toDocx(session);
+		case "md":
+			return toMarkdown(session);
+		default:
+			throw new Error(`Unsupported export format: ${format}`);
+	}
+}
@@ -0,0 +1,178 @@
+import { createWord, joinWords } from "./transcription/segment.js";
+
+const appendText = (previous, text) =>
+	joinWords([createWord({ text: previous }), createWord({ text })]);
+
+const createKeyState = () => ({
+	open: [], // segments still receiving partials, oldest first
+	finals: [], // display text of finalized segments
+	lastFinalText: null,
+	lastEndMs: null,
+	count: 0,
+});
+
+// Cumulative vendors number their utterances, so a partial continues the open
+// segment with its id. The others only ever have one segment open.
+const findOpenSegment = (state, sourceId, partials) => {
+	if (partials !== "cumulative" || sourceId === null) {
+		return state.open.at(-1) ?? null;
+	}
+	return state.open.find((entry) => entry.sourceId === sourceId) ?? null;
+};
+
+const mergeSegment = (entry, segment, partials) => {
+	if (partials === "incremental") {
+		entry.rawText = appendText(entry.rawText, segment.text);
+		entry.rawWords = [...entry.rawWords, ...(segment.words ?? [])];
+	} else {
+		entry.rawText = segment.text;
+		entry.rawWords = segment.words ?? [];
+	}
+	entry.sourceId = segment.id ?? entry.sourceId;
+	entry.language = segment.language ?? entry.language;
+	entry.speaker = segment.speaker ?? entry.speaker;
+	entry.channel = segment.channel ?? entry.channel;
+};
+
+/**
+ * Main-process transcript of a session: provider results merged into ordered
+ * segments with ids that stay the same from the first partial to the final.
+ * How a result is merged depends on the provider's `partials` semantics (see
+ * `registerProvider()`):
+ * - `cumulative`: a partial restates its utterance so far; results with the
+ *   same vendor id belong to the same segment.
+ * - `replacing`: a partial restates everything since the last final, and a
+ *   final closes the segment with the part it covers.
+ * - `incremental`: partials and finals carry only new text, appended to the
+ *   open segment.
+ * A final that opens no segment and repeats the previous final is dropped.
+ * @param {Object} params
+ * @param {(segment: Object, atMs: number) => Object} [params.format] Display text, words and speaker of a merged segment; receives the raw `{text, words, speaker, channel, provider, startMs, ...}`
+ * @param {(event: "segment-added" | "segment-updated" | "segment-finalized", segment: Object) => void} params.onChange Called with the formatted segment
+ */
+export function createTranscriptModel({
+	format = (segment) => segment,
+	onChange,
+}) {
+	const states = new Map(); // session key -> segments of that key
+
+	const stateFor = (key) => {
+		if (!states.has(key)) {
+			states.set(key, createKeyState());
+		}
+		return states.get(key);
+	};
+
+	const snapshot = (entry, atMs) => {
+		const raw = {
+			id: entry.id,
+			key: entry.key,
+			provider: entry.provider,
+			text: entry.rawText,
+			words: entry.rawWords,
+			isFinal: entry.isFinal,
+			language: entry.language,
+			speaker: entry.speaker,
+			channel: entry.channel,
+			startMs: entry.startMs,
+			endMs: entry.endMs,
+		};
+		return { ...raw, ...format(raw, atMs) };
+	};
+
+	const finalText = (key) =>
+		joinWords(
+			(states.get(key)?.finals ?? []).map((text) => createWord({ text })),
+		);
+
+	return {
+		/**
+		 * Merge one provider result into the transcript of `key`.
+		 * @param {string} key Session key
+		 * @param {import("./transcription/segment.js").TranscriptSegment} segment
+		 * @param {{provider: string; partials?: string; atMs?: number}} options `atMs` is the session offset the result arrived at
+		 */
+		apply(key, segment, { provider, partials = "cumulative", atMs = 0 }) {
+			const text = segment?.text?.trim?.() ?? "";
+			const sourceId = segment?.id ?? null;
+			const state = stateFor(key);
+			let entry = findOpenSegment(state, sourceId, partials);
+			const added = !entry;
+
+			if (added) {
+				if (!text.length) return;
+				if (segment.isFinal && text === state.lastFinalText) return;
+				entry = {
+					id: `${key}-${state.count}`,
+					key,
+					provider,
+					sourceId,
+					rawText: "",
+					rawWords: [],
+					isFinal: false,
+					language: null,
+					speaker: null,
+					channel: null,
+					startMs: segment.isFinal
+						? Math.min(state.lastEndMs ?? 0, atMs)
+						: atMs,
+					endMs: null,
+				};
+				state.count += 1;
+			} else if (!segment.isFinal && !text.length) {
+				return;
+			} else if (
+				!segment.isFinal &&
+				partials !== "incremental" &&
+				text === entry.rawText
+			) {
+				return;
+			}
+
+			entry.provider = provider;
+			mergeSegment(entry, { ...segment, text }, partials);
+
+			if (added) {
+				if (!segment.isFinal) state.open.push(entry);
+				onChange("segment-added", snapshot(entry, atMs));
+			}
+			if (!segment.isFinal) {
+				if (!added) onChange("segment-updated", snapshot(entry, atMs));
+				return;
+			}
+
+			entry.isFinal = true;
+			entry.endMs = atMs;
+			state.open = state.open.filter((open) => open !== entry);
+			state.lastFinalText = entry.rawText;
+			state.lastEndMs = atMs;
+			const final = snapshot(entry, atMs);
+			if (final.text.length) {
+				state.finals.push(final.text);
+			}
+			onChange("segment-finalized", final);
+		},
+
+		/**
+		 * Finalized text of one session key.
+		 * @param {string} key
+		 */
+		finalText,
+
+		/**
+		 * Finalized text of every session key that has some.
+		 * @returns {Record<string, string>}
+		 */
+		finalTexts() {
+			return Object.fromEntries(
+				[...states.keys()]
+					.map((key) => [key, finalText(key)])
+					.filter(([, text]) => text.length),
+			);
+		},
+
+		reset() {
+			states.clear();
+		},
+	};
+}
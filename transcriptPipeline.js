@@ -0,0 +1,303 @@
+import fs from "node:fs";
+import path from "node:path";
+import { inverseNormalizeChinese, restorePunctuation } from "./chineseText.js";
+import { convertChineseText, OPENCC_LOCALES } from "./utils.js";
+
+export const DEFAULT_PIPELINE_PROFILE = "default";
+
+// Used when no pipeline file exists: every provider gets Chinese ITN and
+// punctuation, which leave text without Chinese alone. AssemblyAI returns
+// traditional Chinese for Taiwanese meetings, so its text is also converted to
+// simplified first.
+const DEFAULT_PIPELINE_CONFIG = {
+	profiles: {
+		[DEFAULT_PIPELINE_PROFILE]: {
+			steps: [{ type: "itn" }, { type: "punctuation" }],
+			providers: {
+				assembly: [
+					{ type: "opencc", from: "hk", to: "cn" },
+					{ type: "itn" },
+					{ type: "punctuation" },
+				],
+			},
+		},
+	},
+};
+
+const DEFAULT_FILLER_WORDS = [
+	"um",
+	"umm",
+	"uh",
+	"uhh",
+	"erm",
+	"uhm",
+	"嗯",
+	"呃",
+];
+const DEFAULT_PROFANITY = [
+	"fuck",
+	"fucking",
+	"fucked",
+	"shit",
+	"bullshit",
+	"bitch",
+	"asshole",
+	"cunt",
+	"他妈的",
+	"操你妈",
+	"傻逼",
+];
+
+const HAN = "\\p{Script=Han}";
+const CJK_PUNCTUATION = "，。！？；：、）》」』";
+const LATIN_WORD = /^[\p{L}\p{N}_'-]+$/u;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toWordList = (value, fallback, location) => {
+	if (value === undefined) return fallback;
+	if (!Array.isArray(value) || value.some((word) => typeof word !== "string")) {
+		throw new Error(`${location}: "words" must be a list of strings.`);
+	}
+	return value.filter((word) => word.trim().length);
+};
+
+// Latin words match whole words only; CJK has no word boundaries.
+const wordPattern = (word) => {
+	const escaped = escapeRegExp(word.trim());
+	return /^[A-Za-z]/.test(word) && LATIN_WORD.test(word)
+		? `\\b${escaped}\\b`
+		: escaped;
+};
+
+const buildWordRegExp = (words, suffix = "") =>
+	words.length
+		? new RegExp(
+				`(?:${[...words]
+					.sort((left, right) => right.length - left.length)
+					.map(wordPattern)
+					.join("|")})${suffix}`,
+				"giu",
+			)
+		: null;
+
+const normalizeSpacing = (text) =>
+	text
+		.replace(/\s+/g, " ")
+		.replace(new RegExp(`(?<=${HAN})\\s+(?=${HAN})`, "gu"), "")
+		.replace(new RegExp(`\\s+(?=[${CJK_PUNCTUATION}])`, "gu"), "")
+		.trim();
+
+const parseDictionaryLine = (line, location) => {
+	const separator = line.indexOf("=>");
+	if (separator < 0) {
+		throw new Error(`${location}: expected "find => replace".`);
+	}
+	const find = line.slice(0, separator).trim();
+	const replace = line.slice(separator + 2).trim();
+	const regex = /^\/(.+)\/([a-z]*)$/.exec(find);
+	return regex
+		? { find: regex[1], replace, regex: true, flags: regex[2] }
+		: { find, replace };
+};
+
+/**
+ * Dictionary file: one `find => replace` per line, `/pattern/flags => replace`
+ * for regular expressions, `#` starts a comment line.
+ */
+const readDictionaryFile = async (file, baseDirectory) => {
+	const resolved = path.resolve(baseDirectory, file);
+	const lines = (await fs.promises.readFile(resolved, "utf8")).split(/\r?\n/);
+	return lines
+		.map((line, index) => ({ line: line.trim(), number: index + 1 }))
+		.filter(({ line }) => line.length && !line.startsWith("#"))
+		.map(({ line, number }) =>
+			parseDictionaryLine(line, `${resolved}:${number}`),
+		);
+};
+
+const compileDictionaryEntry = (entry, location) => {
+	if (typeof entry?.find !== "string" || !entry.find.length) {
+		throw new Error(`${location}: dictionary entries need "find".`);
+	}
+	const replace = entry.replace?.toString?.() ?? "";
+	if (!entry.regex) {
+		return (text) => text.split(entry.find).join(replace);
+	}
+	const flags = entry.flags ?? "";
+	let pattern;
+	try {
+		pattern = new RegExp(entry.find, flags.includes("g") ? flags : `${flags}g`);
+	} catch (error) {
+		throw new Error(`${location}: ${error.message}`);
+	}
+	return (text) => text.replace(pattern, replace);
+};
+
+// `create(options, context)` returns the text transform. Processors marked
+// `words` also run on each word of a segment's word timings; `finalOnly`
+// ones skip partials, which are still growing.
+const PROCESSORS = {
+	opencc: {
+		words: true,
+		create: ({ from = "hk", to = "cn" }, { location }) => {
+			for (const locale of [from, to]) {
+				if (!OPENCC_LOCALES.includes(locale)) {
+					throw new Error(
+						`${location}: unknown OpenCC locale "${locale}", use one of ${OPENCC_LOCALES.join(", ")}.`,
+					);
+				}
+			}
+			return (text) => convertChineseText(text, { from, to });
+		},
+	},
+	dictionary: {
+		create: async ({ entries = [], file }, { location, baseDirectory }) => {
+			const fileEntries = file
+				? await readDictionaryFile(file, baseDirectory)
+				: [];
+			const replacements = [...entries, ...fileEntries].map((entry, index) =>
+				compileDictionaryEntry(entry, `${location}[${index}]`),
+			);
+			return (text) =>
+				replacements.reduce((current, replace) => replace(current), text);
+		},
+	},
+	fillers: {
+		create: ({ words }, { location }) => {
+			const pattern = buildWordRegExp(
+				toWordList(words, DEFAULT_FILLER_WORDS, location),
+				"[,，、]?",
+			);
+			return (text) =>
+				pattern ? normalizeSpacing(text.replace(pattern, " ")) : text;
+		},
+	},
+	profanity: {
+		words: true,
+		create: ({ words, mask = "*" }, { location }) => {
+			const pattern = buildWordRegExp(
+				toWordList(words, DEFAULT_PROFANITY, location),
+			);
+			return (text) =>
+				pattern
+					? text.replace(pattern, (match) => mask.repeat([...match].length))
+					: text;
+		},
+	},
+	itn: {
+		create: () => inverseNormalizeChinese,
+	},
+	punctuation: {
+		finalOnly: true,
+		create: () => restorePunctuation,
+	},
+	spacing: {
+		create: ({ cjkLatin = true }) => {
+			const spaceAfterHan = new RegExp(`(${HAN})([A-Za-z0-9])`, "gu");
+			const spaceBeforeHan = new RegExp(`([A-Za-z0-9])(${HAN})`, "gu");
+			return (text) => {
+				const normalized = normalizeSpacing(text);
+				return cjkLatin
+					? normalized
+							.replace(spaceAfterHan, "$1 $2")
+							.replace(spaceBeforeHan, "$1 $2")
+					: normalized;
+			};
+		},
+	},
+};
+
+export const TEXT_PROCESSOR_TYPES = Object.keys(PROCESSORS);
+
+const IDENTITY_PIPELINE = {
+	processText: (text) => text,
+	processWord: (text) => text,
+};
+
+const compileSteps = async (steps, location, baseDirectory) => {
+	if (steps === undefined) return IDENTITY_PIPELINE;
+	if (!Array.isArray(steps)) {
+		throw new Error(`${location}: steps must be a list.`);
+	}
+	const compiled = [];
+	for (const [index, step] of steps.entries()) {
+		const stepLocation = `${location}[${index}]`;
+		const processor = PROCESSORS[step?.type];
+		if (!processor) {
+			throw new Error(
+				`${stepLocation}: unknown processor "${step?.type}", use one of ${TEXT_PROCESSOR_TYPES.join(", ")}.`,
+			);
+		}
+		compiled.push({
+			words: processor.words === true,
+			finalOnly: processor.finalOnly === true,
+			apply: await processor.create(step, {
+				location: stepLocation,
+				baseDirectory,
+			}),
+		});
+	}
+	const wordSteps = compiled.filter((step) => step.words);
+	const partialSteps = compiled.filter((step) => !step.finalOnly);
+	return {
+		processText: (text, { isFinal = true } = {}) =>
+			(isFinal ? compiled : partialSteps).reduce(
+				(current, step) => step.apply(current),
+				text,
+			),
+		processWord: (text) =>
+			wordSteps.reduce((current, step) => step.apply(current), text),
+	};
+};
+
+const readPipelineConfig = async (file) => {
+	try {
+		return JSON.parse(await fs.promises.readFile(file, "utf8"));
+	} catch (error) {
+		if (error.code === "ENOENT") {
+			return DEFAULT_PIPELINE_CONFIG;
+		}
+		throw new Error(`Failed to read ${file}: ${error.message}`);
+	}
+};
+
+/**
+ * Load the transcript post-processing profiles from a JSON file of the form
+ * `{profiles: {<name>: {steps: [...], providers: {<provider id>: [...]}}}}`.
+ * A provider's steps replace the profile's steps for that provider. Without
+ * the file, every provider's text goes through Chinese ITN and punctuation
+ * restoration, and AssemblyAI's is converted to simplified Chinese first.
+ * Relative dictionary files resolve against the config file's directory.
+ * @param {string} file Path of the pipeline config
+ * @returns {Promise<{profiles: string[]; resolve(profile: string, provider: string): {processText(text: string, options?: {isFinal?: boolean}): string; processWord(text: string): string}}>}
+ */
+export async function loadTranscriptPipelines(file) {
+	const config = await readPipelineConfig(file);
+	const baseDirectory = path.dirname(file);
+	const profiles = new Map();
+	for (const [name, profile] of Object.entries(config?.profiles ?? {})) {
+		const providers = new Map();
+		for (const [id, steps] of Object.entries(profile?.providers ?? {})) {
+			providers.set(
+				id,
+				await compileSteps(steps, `${name}.providers.${id}`, baseDirectory),
+			);
+		}
+		profiles.set(name, {
+			steps: await compileSteps(profile?.steps, name, baseDirectory),
+			providers,
+		});
+	}
+
+	return {
+		profiles: [...profiles.keys()],
+		resolve(profileName, provider) {
+			const profile =
+				profiles.get(profileName) ?? profiles.get(DEFAULT_PIPELINE_PROFILE);
+			return (
+				profile?.providers.get(provider) ?? profile?.steps ?? IDENTITY_PIPELINE
+			);
+		},
+	};
+}
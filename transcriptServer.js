@@ -0,0 +1,201 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import { WebSocketServer } from "ws";
+
+// Only other apps on this machine may connect.
+const HOST = "127.0.0.1";
+const SSE_HEARTBEAT_MS = 15000;
+const MAX_COMMAND_BYTES = 64 * 1024;
+const COMMANDS = new Set(["start", "stop"]);
+
+const tokensMatch = (expected, provided) => {
+	// Comparing digests keeps the comparison constant time for any length.
+	const digest = (value) => crypto.createHash("sha256").update(value).digest();
+	return crypto.timingSafeEqual(digest(expected), digest(provided));
+};
+
+// EventSource cannot set headers, so the token may also come as `?token=`.
+const readToken = (request, url) => {
+	const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization ?? "");
+	return match?.[1] ?? url.searchParams.get("token") ?? "";
+};
+
+const sendJson = (response, statusCode, body) => {
+	response.writeHead(statusCode, { "Content-Type": "application/json" });
+	response.end(JSON.stringify(body));
+};
+
+const readJsonBody = async (request) => {
+	let body = "";
+	for await (const chunk of request) {
+		body += chunk;
+		if (body.length > MAX_COMMAND_BYTES) {
+			throw new Error("Command body is too large.");
+		}
+	}
+	return body.trim().length ? JSON.parse(body) : {};
+};
+
+/**
+ * Serve the live transcript to other apps on localhost. Every request needs
+ * the token, as `Authorization: Bearer <token>` or `?token=<token>`.
+ *
+ * - `GET /events`: Server-Sent Events, one `event:` per broadcast channel
+ * - `GET /ws`: WebSocket, broadcasts arrive as `{event, data}`; send
+ *   `{command: "start" | "stop", options?, id?}` to control transcription
+ * - `POST /start`, `POST /stop`: the same commands over HTTP, options as the JSON body
+ *
+ * Commands answer with `{success, message}`.
+ * @param {Object} params
+ * @param {number} params.port Port to listen on; 0 picks a free one
+ * @param {string} params.token Shared secret clients must present
+ * @param {(command: "start" | "stop", options: Object) => Promise<{success: boolean; message?: string}>} params.onCommand Runs a client command
+ */
+export async function startTranscriptServer({ port, token, onCommand }) {
+	if (!token) {
+		throw new Error("LOCAL_API_TOKEN is required to enable the local API.");
+	}
+
+	const sseClients = new Set();
+	const webSockets = new WebSocketServer({ noServer: true });
+
+	const runCommand = async (command, options) => {
+		if (!COMMANDS.has(command)) {
+			return { success: false, message: `Unknown command "${command}".` };
+		}
+		try {
+			return await onCommand(
+				command,
+				options && typeof options === "object" ? options : {},
+			);
+		} catch (error) {
+			console.error(`Local API ${command} command failed:`, error);
+			return { success: false, message: error.message };
+		}
+	};
+
+	const openEventStream = (request, response) => {
+		response.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+		});
+		response.write(": connected\n\n");
+		sseClients.add(response);
+		request.on("close", () => {
+			sseClients.delete(response);
+		});
+	};
+
+	const server = http.createServer(async (request, response) => {
+		const url = new URL(request.url ?? "/", `http://${HOST}`);
+		if (!tokensMatch(token, readToken(request, url))) {
+			sendJson(response, 401, { success: false, message: "Unauthorized." });
+			return;
+		}
+
+		if (request.method === "GET" && url.pathname === "/events") {
+			openEventStream(request, response);
+			return;
+		}
+
+		const command = url.pathname.slice(1);
+		if (request.method === "POST" && COMMANDS.has(command)) {
+			let options;
+			try {
+				options = await readJsonBody(request);
+			} catch (error) {
+				sendJson(response, 400, { success: false, message: error.message });
+				return;
+			}
+			const result = await runCommand(command, options);
+			sendJson(response, result.success ? 200 : 409, result);
+			return;
+		}
+
+		sendJson(response, 404, { success: false, message: "Not found." });
+	});
+
+	server.on("upgrade", (request, socket, head) => {
+		const url = new URL(request.url ?? "/", `http://${HOST}`);
+		if (
+			url.pathname !== "/ws" ||
+			!tokensMatch(token, readToken(request, url))
+		) {
+			socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+			return;
+		}
+		webSockets.handleUpgrade(request, socket, head, (client) => {
+			client.on("message", async (data) => {
+				let message;
+				try {
+					message = JSON.parse(data.toString());
+				} catch {
+					client.send(
+						JSON.stringify({
+							event: "command-result",
+							data: { success: false, message: "Invalid JSON." },
+						}),
+					);
+					return;
+				}
+				const result = await runCommand(message?.command, message?.options);
+				client.send(
+					JSON.stringify({
+						event: "command-result",
+						data: { id: message?.id ?? null, ...result },
+					}),
+				);
+			});
+		});
+	});
+
+	await new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(port, HOST, () => {
+			server.off("error", reject);
+			resolve();
+		});
+	});
+
+	// Comment lines keep idle proxies and clients from timing out the stream.
+	const heartbeat = setInterval(() => {
+		for (const client of sseClients) {
+			client.write(": ping\n\n");
+		}
+	}, SSE_HEARTBEAT_MS);
+
+	return {
+		port: server.address().port,
+		/**
+		 * Send an event to every connected client.
+		 * @param {string} event Channel name, as sent to the renderer
+		 * @param {unknown} data JSON-serializable payload
+		 */
+		broadcast(event, data) {
+			if (!sseClients.size && !webSockets.clients.size) return;
+			const json = JSON.stringify(data ?? null);
+			for (const client of sseClients) {
+				client.write(`event: ${event}\ndata: ${json}\n\n`);
+			}
+			const message = `{"event":${JSON.stringify(event)},"data":${json}}`;
+			for (const client of webSockets.clients) {
+				if (client.readyState === client.OPEN) {
+					client.send(message);
+				}
+			}
+		},
+		async close() {
+			clearInterval(heartbeat);
+			for (const client of sseClients) {
+				client.end();
+			}
+			sseClients.clear();
+			for (const client of webSockets.clients) {
+				client.terminate();
+			}
+			webSockets.close();
+			await new Promise((resolve) => server.close(resolve));
+		},
+	};
+}
@@ -1,4 +1,22 @@
 import { StreamingTranscriber } from "assemblyai";
+import { registerProvider } from "./registry.js";
+import { createSegment, formatSpeakerLabel } from "./segment.js";
+
+const DEFAULT_LANGUAGE = "en";
+// The multilingual streaming model has no Chinese support.
+const LANGUAGE_CODES = { en: "en" };
+
+// Turns are labelled "A", "B", …; "UNKNOWN" when no speaker could be assigned.
+const toAssemblySpeaker = (label) =>
+	typeof label === "string" && /^[A-Z]$/.test(label)
+		? formatSpeakerLabel(label.charCodeAt(0) - "A".charCodeAt(0))
+		: null;
+
+const toAssemblyEncoding = (encoding) => {
+	if (!encoding) return "pcm_s16le";
+	if (encoding.toLowerCase() === "linear16") return "pcm_s16le";
+	return encoding;
+};
 
 /**
  * Create an AssemblyAI streaming session for Electron audio capture.
@@ -6,14 +24,16 @@ import { StreamingTranscriber } from "assemblyai";
  * @param {string} params.apiKey AssemblyAI API key
  * @param {number} params.sampleRate Audio sample rate
  * @param {string} params.encoding Audio encoding
+ * @param {string} [params.language] Language code as returned by the registry mapping
  * @param {(status: string) => void} params.onStatus Status callback
- * @param {(payload: {text: string; isFinal: boolean}) => void} params.onTranscript Transcript callback
+ * @param {(segment: import("./segment.js").TranscriptSegment) => void} params.onTranscript Transcript callback
  * @param {(error: Error) => void} params.onError Error callback
  */
 export async function createAssemblyStreamingSession({
 	apiKey,
 	sampleRate,
 	encoding = "pcm_s16le",
+	language = DEFAULT_LANGUAGE,
 	onStatus,
 	onTranscript,
 	onError,
@@ -26,9 +46,10 @@ export async function createAssemblyStreamingSession({
 		apiKey,
 		sampleRate,
 		encoding,
-		languageCode: "zh",
+		languageCode: language,
 		speechModel: "universal-streaming-multilingual",
 		formatTurns: false,
+		speakerLabels: true,
 	});
 
 	transcriber.on("open", () => {
@@ -42,7 +63,22 @@ export async function createAssemblyStreamingSession({
 				: (event?.transcript?.text ?? event?.transcript?.display_text ?? "");
 		const text = rawTranscript?.toString?.().trim?.() ?? "";
 		if (!text.length) return;
-		onTranscript?.({ text, isFinal: Boolean(event.end_of_turn) });
+		onTranscript?.(
+			createSegment({
+				id: `assembly-${event.turn_order ?? 0}`,
+				text,
+				// AssemblyAI reports word times in milliseconds already.
+				words: (event.words ?? []).map((word) => ({
+					text: word?.text,
+					start: word?.start,
+					end: word?.end,
+					confidence: word?.confidence,
+				})),
+				isFinal: Boolean(event.end_of_turn),
+				language: event.language_code ?? language,
+				speaker: toAssemblySpeaker(event.speaker_label),
+			}),
+		);
 	});
 
 	transcriber.on("error", (error) => {
@@ -66,3 +102,26 @@ export async function createAssemblyStreamingSession({
 		},
 	};
 }
+
+registerProvider({
+	id: "assembly",
+	label: "AssemblyAI (仅英语,不支持中文)",
+	envKeys: ["ASSEMBLY_API_KEY"],
+	captureTypes: ["electron", "recall"],
+	languages: LANGUAGE_CODES,
+	// Each turn event carries the whole turn so far.
+	partials: "cumulative",
+	recall: {
+		providerKey: "assembly_ai_v3_streaming",
+		defaults: {
+			speech_model: "universal-streaming-multilingual",
+		},
+		languageKey: "language_code",
+	},
+	create: ({ encoding, ...options }) =>
+		createAssemblyStreamingSession({
+			apiKey: process.env.ASSEMBLY_API_KEY,
+			encoding: toAssemblyEncoding(encoding),
+			...options,
+		}),
+});
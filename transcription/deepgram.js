@@ -1,4 +1,24 @@
 import { createClient, LiveTranscriptionEvents } from "@deepgram/sdk";
+import { registerProvider } from "./registry.js";
+import {
+	createSegment,
+	createSegmentIdTracker,
+	formatSpeakerLabel,
+	pickDominantSpeaker,
+} from "./segment.js";
+
+const DEFAULT_LANGUAGE = "zh";
+// nova-2 codes; Cantonese is only available in traditional characters.
+const LANGUAGE_CODES = { zh: "zh", yue: "zh-HK", en: "en" };
+const SECONDS_TO_MS = 1000;
+
+const toDeepgramWords = (words = []) =>
+	words.map((word) => ({
+		text: word?.punctuated_word ?? word?.word,
+		start: Number(word?.start) * SECONDS_TO_MS,
+		end: Number(word?.end) * SECONDS_TO_MS,
+		confidence: word?.confidence,
+	}));
 
 /**
  * Create a Deepgram live transcription session.
@@ -7,8 +27,9 @@ import { createClient, LiveTranscriptionEvents } from "@deepgram/sdk";
  * @param {number} params.sampleRate Audio sample rate
  * @param {number} params.channels Number of channels
  * @param {string} params.encoding Audio encoding
+ * @param {string} [params.language] Language code as returned by the registry mapping
  * @param {(status: string) => void} params.onStatus Status callback
- * @param {(payload: {text: string; isFinal: boolean}) => void} params.onTranscript Transcript callback
+ * @param {(segment: import("./segment.js").TranscriptSegment) => void} params.onTranscript Transcript callback
  * @param {(error: Error) => void} params.onError Error callback
  */
 export function createDeepgramSession({
@@ -16,6 +37,7 @@ export function createDeepgramSession({
 	sampleRate,
 	channels,
 	encoding,
+	language = DEFAULT_LANGUAGE,
 	onStatus,
 	onTranscript,
 	onError,
@@ -25,6 +47,21 @@ export function createDeepgramSession({
 	}
 
 	const client = createClient(apiKey);
+	// Channels are transcribed independently, so each numbers its own
+	// utterances; a shared counter would let one channel's final close the
+	// other's segment.
+	const segmentIds = new Map(); // channel index -> id tracker
+	const nextSegmentId = (channel, isFinal) => {
+		if (!segmentIds.has(channel)) {
+			segmentIds.set(
+				channel,
+				createSegmentIdTracker(
+					channels > 1 ? `deepgram-ch${channel}` : "deepgram",
+				),
+			);
+		}
+		return segmentIds.get(channel).next(isFinal);
+	};
 	let connection;
 
 	try {
@@ -33,9 +70,12 @@ export function createDeepgramSession({
 			encoding,
 			sample_rate: sampleRate,
 			channels,
-			language: "zh",
+			language,
 			interim_results: true,
 			smart_format: true,
+			diarize: true,
+			// Results then carry `channel_index` instead of mixing channels.
+			multichannel: channels > 1,
 		});
 	} catch (error) {
 		throw new Error(`Failed to create Deepgram live session: ${error.message}`);
@@ -57,7 +97,22 @@ export function createDeepgramSession({
 		const isFinal = Boolean(
 			data?.is_final || data?.speech_final || data?.from_finalize,
 		);
-		onTranscript?.({ text, isFinal });
+		const channel = channels > 1 ? (data?.channel_index?.[0] ?? 0) : null;
+		onTranscript?.(
+			createSegment({
+				id: nextSegmentId(channel ?? 0, isFinal),
+				text,
+				words: toDeepgramWords(alternative?.words),
+				isFinal,
+				language: alternative?.languages?.[0] ?? language,
+				speaker: formatSpeakerLabel(
+					pickDominantSpeaker(
+						(alternative?.words ?? []).map((word) => word?.speaker),
+					),
+				),
+				channel,
+			}),
+		);
 	});
 
 	connection.on(LiveTranscriptionEvents.Error, (error) => {
@@ -75,6 +130,9 @@ export function createDeepgramSession({
 			if (!chunk || !chunk.length) return;
 			connection?.send(chunk);
 		},
+		keepAlive() {
+			connection?.keepAlive();
+		},
 		async stop() {
 			try {
 				connection?.finalize();
@@ -85,3 +143,27 @@ export function createDeepgramSession({
 		},
 	};
 }
+
+registerProvider({
+	id: "deepgram",
+	label: "Deepgram (Online)",
+	envKeys: ["DEEPGRAM_API_KEY"],
+	captureTypes: ["electron", "recall"],
+	languages: LANGUAGE_CODES,
+	multichannel: true,
+	// Interim results restate the utterance until `is_final` closes it.
+	partials: "cumulative",
+	fileStreaming: { sampleRate: 16000, speed: 2 },
+	// Deepgram closes a stream after about 10 s without data.
+	keepAlive: { intervalMs: 5000 },
+	recall: {
+		providerKey: "deepgram_streaming",
+		defaults: {},
+		languageKey: "language",
+	},
+	create: (options) =>
+		createDeepgramSession({
+			apiKey: process.env.DEEPGRAM_API_KEY,
+			...options,
+		}),
+});
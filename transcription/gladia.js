@@ -1,8 +1,11 @@
 import { GladiaClient } from "@gladiaio/sdk";
+import { registerProvider } from "./registry.js";
+import { createSegment, formatSpeakerLabel } from "./segment.js";
 
 const SUPPORTED_SAMPLE_RATES = [8000, 16000, 32000, 44100, 48000];
 const DEFAULT_SAMPLE_RATE = 44100;
 const DEFAULT_LANGUAGE = "zh";
+const LANGUAGE_CODES = { zh: "zh", en: "en" };
 const GLADIA_PCM_ENCODING = "wav/pcm";
 const PCM_BIT_DEPTH = 16;
 const COMPRESSED_BIT_DEPTH = 8;
@@ -11,6 +14,7 @@ const DEFAULT_HTTP_TIMEOUT = 20000;
 const DEFAULT_WS_TIMEOUT = 20000;
 const MAX_HTTP_ATTEMPTS = 3;
 const MAX_WS_ATTEMPTS = 5;
+const SECONDS_TO_MS = 1000;
 
 const normalizeSampleRate = (requested) => {
 	if (!requested || Number.isNaN(requested)) {
@@ -57,6 +61,14 @@ const parseRegion = (value) => {
 	return undefined;
 };
 
+const toGladiaWords = (words) =>
+	(Array.isArray(words) ? words : []).map((word) => ({
+		text: word?.word,
+		start: Number(word?.start) * SECONDS_TO_MS,
+		end: Number(word?.end) * SECONDS_TO_MS,
+		confidence: word?.confidence,
+	}));
+
 const buildGladiaClientOptions = (apiKey) => {
 	const httpTimeout = parseTimeoutEnv(
 		process.env.GLADIA_HTTP_TIMEOUT,
@@ -88,8 +100,9 @@ const buildGladiaClientOptions = (apiKey) => {
  * @param {number} params.sampleRate Audio sample rate
  * @param {number} params.channels Number of audio channels
  * @param {string} params.encoding Audio encoding
+ * @param {string} [params.language] Language code as returned by the registry mapping
  * @param {(status: string) => void} params.onStatus Status callback
- * @param {(payload: {text: string; isFinal: boolean}) => void} params.onTranscript Transcript callback
+ * @param {(segment: import("./segment.js").TranscriptSegment) => void} params.onTranscript Transcript callback
  * @param {(error: Error) => void} params.onError Error callback
  * @returns {Promise<{sendAudio: (chunk: Buffer | ArrayBuffer | ArrayLike<number>) => void; stop: () => Promise<void>}>}
  */
@@ -98,6 +111,7 @@ export async function createGladiaSession({
 	sampleRate,
 	channels = 1,
 	encoding,
+	language = DEFAULT_LANGUAGE,
 	onStatus,
 	onTranscript,
 	onError,
@@ -122,7 +136,7 @@ export async function createGladiaSession({
 			sample_rate: normalizedSampleRate,
 			channels: normalizedChannels,
 			language_config: {
-				languages: [DEFAULT_LANGUAGE],
+				languages: [language],
 			},
 			messages_config: {
 				receive_partial_transcripts: true,
@@ -180,16 +194,26 @@ export async function createGladiaSession({
 			return;
 		}
 
-		const rawText = message.data?.utterance?.text ?? "";
+		const utterance = message.data?.utterance;
+		const rawText = utterance?.text ?? "";
 		const text = typeof rawText === "string" ? rawText.trim() : "";
 		if (!text.length) {
 			return;
 		}
 
-		onTranscript?.({
-			text,
-			isFinal: Boolean(message.data?.is_final),
-		});
+		onTranscript?.(
+			createSegment({
+				id: message.data?.id,
+				text,
+				words: toGladiaWords(utterance?.words),
+				isFinal: Boolean(message.data?.is_final),
+				language: utterance?.language ?? language,
+				// The live API has no diarization switch; `speaker` is only
+				// present when the account has it enabled.
+				speaker: formatSpeakerLabel(utterance?.speaker),
+				channel: normalizedChannels > 1 ? utterance?.channel : null,
+			}),
+		);
 	};
 
 	session.on("connecting", handleConnecting);
@@ -258,3 +282,25 @@ export async function createGladiaSession({
 		},
 	};
 }
+
+registerProvider({
+	id: "gladia",
+	label: "Gladia (Electron only)",
+	envKeys: [
+		"GLADIA_API_KEY",
+		"GLADIA_REGION",
+		"GLADIA_HTTP_TIMEOUT",
+		"GLADIA_WS_TIMEOUT",
+	],
+	captureTypes: ["electron"],
+	languages: LANGUAGE_CODES,
+	// Utterances of a multichannel stream report their `channel`.
+	multichannel: true,
+	partials: "cumulative",
+	keepAlive: { intervalMs: 10000 },
+	create: (options) =>
+		createGladiaSession({
+			apiKey: process.env.GLADIA_API_KEY,
+			...options,
+		}),
+});
@@ -1,7 +1,11 @@
 import WebSocket from "ws";
+import { registerProvider } from "./registry.js";
+import { createSegment, createSegmentIdTracker } from "./segment.js";
 
 const DEFAULT_MODEL = "models/gemini-2.5-flash";
 const DEFAULT_LANGUAGE = "zh-CN";
+// Sent to the model as a language hint in the prompt.
+const LANGUAGE_CODES = { zh: "zh-CN", yue: "yue-HK", en: "en-US" };
 const DEFAULT_PROMPT =
 	"你是一个高准确度的实时语音识别助手，请将输入语音逐字转写为对应语言的文字，不要输出解释或额外内容，只返回转写结果。";
 const DEFAULT_FLUSH_INTERVAL_MS = 3500;
@@ -54,9 +58,6 @@ const getFlushIntervalMs = () => {
 const getModelId = () =>
 	process.env.GOOGLE_GENAI_MODEL?.trim?.() || DEFAULT_MODEL;
 
-const getLanguageHint = () =>
-	process.env.GOOGLE_GENAI_LANGUAGE?.trim?.() || DEFAULT_LANGUAGE;
-
 const getPrompt = () =>
 	process.env.GOOGLE_GENAI_PROMPT?.trim?.() || DEFAULT_PROMPT;
 
@@ -507,6 +508,7 @@ const createLiveWebsocketSession = async ({
 	let connected = false;
 	let lastInputTranscript = "";
 	let lastModelTranscript = "";
+	const segmentIds = createSegmentIdTracker("google_genai");
 
 	let setupResolved = false;
 	let resolveSetup;
@@ -542,24 +544,33 @@ const createLiveWebsocketSession = async ({
 		const finished = Boolean(content.inputTranscription?.finished);
 		if (transcript.length && transcript !== lastInputTranscript) {
 			lastInputTranscript = transcript;
-			onTranscript?.({
-				text: transcript,
-				isFinal: finished,
-			});
+			onTranscript?.(
+				createSegment({
+					id: segmentIds.next(finished),
+					text: transcript,
+					isFinal: finished,
+					language: languageHint,
+				}),
+			);
 			return;
 		}
 
 		const modelTurnText = collectTextFromParts(content.modelTurn?.parts ?? []);
 		if (modelTurnText.length && modelTurnText !== lastModelTranscript) {
 			lastModelTranscript = modelTurnText;
-			onTranscript?.({
-				text: modelTurnText,
-				isFinal: Boolean(
-					content.generationComplete ??
-						content.turnComplete ??
-						content.waitingForInput,
-				),
-			});
+			const isFinal = Boolean(
+				content.generationComplete ??
+					content.turnComplete ??
+					content.waitingForInput,
+			);
+			onTranscript?.(
+				createSegment({
+					id: segmentIds.next(isFinal),
+					text: modelTurnText,
+					isFinal,
+					language: languageHint,
+				}),
+			);
 		}
 	};
 
@@ -720,6 +731,7 @@ export async function createGoogleGenaiSession({
 	sampleRate,
 	channels = 1,
 	encoding = "linear16",
+	language = DEFAULT_LANGUAGE,
 	onStatus,
 	onTranscript,
 	onError,
@@ -732,7 +744,7 @@ export async function createGoogleGenaiSession({
 	const normalizedChannels =
 		Number.isFinite(channels) && channels > 0 ? channels : 1;
 	const modelId = getModelId();
-	const languageHint = getLanguageHint();
+	const languageHint = language;
 	const prompt = getPrompt();
 
 	if (shouldUseLiveApi(modelId)) {
@@ -767,6 +779,7 @@ export async function createGoogleGenaiSession({
 	let flushRequestedWhileBusy = false;
 	let pendingRequest = null;
 	let lastTranscript = "";
+	const segmentIds = createSegmentIdTracker("google_genai");
 
 	let model;
 	try {
@@ -874,10 +887,14 @@ export async function createGoogleGenaiSession({
 			const text = extractTextFromResponse(result);
 			if (text && text !== lastTranscript) {
 				lastTranscript = text;
-				onTranscript?.({
-					text,
-					isFinal: true,
-				});
+				onTranscript?.(
+					createSegment({
+						id: segmentIds.next(true),
+						text,
+						isFinal: true,
+						language: languageHint,
+					}),
+				);
 			}
 		} catch (error) {
 			handleError(error);
@@ -939,3 +956,68 @@ export async function createGoogleGenaiSession({
 		},
 	};
 }
+
+const textModels = new Map(); // `${apiKey}:${modelId}` -> model
+
+/**
+ * Single text prompt against Gemini through the same client the provider
+ * uses, for features that post-process transcripts.
+ * @param {Object} params
+ * @param {string} params.prompt
+ * @param {string} [params.modelId] Must be a text model; Live models only stream audio
+ * @param {string} [params.apiKey]
+ * @param {Object} [params.generationConfig] Per-request options such as `responseMimeType`
+ * @returns {Promise<string>} Trimmed response text
+ */
+export async function generateGoogleGenaiText({
+	prompt,
+	modelId = DEFAULT_MODEL,
+	apiKey = process.env.GOOGLE_GENAI_API_KEY,
+	generationConfig,
+}) {
+	if (!apiKey) {
+		throw new Error("Missing GOOGLE_GENAI_API_KEY.");
+	}
+	const cacheKey = `${apiKey}:${modelId}`;
+	let model = textModels.get(cacheKey);
+	if (!model) {
+		model = await instantiateModel({
+			apiKey,
+			modelId,
+			generationConfig: { temperature: 0 },
+		});
+		textModels.set(cacheKey, model);
+	}
+	const result = await model.generateContent({
+		contents: [{ role: "user", parts: [{ text: prompt }] }],
+		...(generationConfig ? { generationConfig } : {}),
+	});
+	return extractTextFromResponse(result);
+}
+
+registerProvider({
+	id: "googleGenai",
+	label: "Google Gemini (Electron only)",
+	envKeys: [
+		"GOOGLE_GENAI_API_KEY",
+		"GOOGLE_GENAI_MODEL",
+		"GOOGLE_GENAI_FLUSH_INTERVAL_MS",
+		"GOOGLE_GENAI_CHUNK_INTERVAL_MS",
+		"GOOGLE_GENAI_PROMPT",
+		"GOOGLE_GENAI_API_BASE_URL",
+		"GOOGLE_GENAI_USE_LIVE",
+		"GOOGLE_GENAI_LIVE_API_VERSION",
+		"GOOGLE_GENAI_LIVE_WS_BASE_URL",
+	],
+	captureTypes: ["electron"],
+	languages: LANGUAGE_CODES,
+	// Live transcription messages carry the next words only.
+	partials: "incremental",
+	// The Live API expects 16 kHz input.
+	fileStreaming: { sampleRate: 16000 },
+	create: (options) =>
+		createGoogleGenaiSession({
+			apiKey: process.env.GOOGLE_GENAI_API_KEY,
+			...options,
+		}),
+});
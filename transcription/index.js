@@ -0,0 +1,23 @@
+// Built-in providers register themselves on import.
+import "./deepgram.js";
+import "./assembly.js";
+import "./gladia.js";
+import "./googleGenai.js";
+import "./mock.js";
+import "./revai.js";
+import "./speechmatics.js";
+
+export { listMockScripts } from "./mock.js";
+export {
+	DEFAULT_LANGUAGE,
+	describeProviders,
+	getProvider,
+	getProvidersForCapture,
+	listProviders,
+	loadExternalProviders,
+	registerProvider,
+	resolveProviderLanguage,
+	supportsCaptureType,
+	supportsLanguage,
+	TRANSCRIPTION_LANGUAGES,
+} from "./registry.js";
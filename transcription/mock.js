@@ -0,0 +1,231 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+import { registerProvider } from "./registry.js";
+import { createSegment, createSegmentIdTracker } from "./segment.js";
+
+const DEFAULT_SAMPLE_RATE = 16000;
+const BYTES_PER_SAMPLE = 2;
+const EVENT_TYPES = new Set(["partial", "final", "status", "error", "close"]);
+const SCRIPTS_DIRECTORY = path.join(
+	path.dirname(fileURLToPath(import.meta.url)),
+	"mock-scripts",
+);
+const DEFAULT_SCRIPT = path.join(SCRIPTS_DIRECTORY, "default.json");
+
+const resolveScriptPath = (scriptPath) => {
+	const configured =
+		scriptPath?.trim?.() || process.env.MOCK_TRANSCRIPTION_SCRIPT?.trim?.();
+	if (!configured) {
+		return DEFAULT_SCRIPT;
+	}
+	if (path.isAbsolute(configured) || fs.existsSync(configured)) {
+		return path.resolve(configured);
+	}
+	// Bare names refer to the bundled scripts, e.g. "duplicate-finals.json".
+	return path.join(SCRIPTS_DIRECTORY, configured);
+};
+
+const parseScript = (source, filePath) => {
+	const extension = path.extname(filePath).toLowerCase();
+	if (extension === ".yaml" || extension === ".yml") {
+		return YAML.parse(source);
+	}
+	return JSON.parse(source);
+};
+
+const normalizeEvent = (event, index) => {
+	if (!event || typeof event !== "object") {
+		throw new Error(`Mock script event #${index} must be an object.`);
+	}
+	if (!EVENT_TYPES.has(event.type)) {
+		throw new Error(
+			`Mock script event #${index} has unknown type "${event.type}".`,
+		);
+	}
+	const atMs = Number(event.atMs ?? 0);
+	if (!Number.isFinite(atMs) || atMs < 0) {
+		throw new Error(`Mock script event #${index} has an invalid atMs.`);
+	}
+	return { ...event, atMs, index };
+};
+
+const SCRIPT_EXTENSIONS = new Set([".json", ".yaml", ".yml"]);
+
+/**
+ * File names of the bundled scripts, which `scriptPath` accepts as is.
+ * @returns {string[]}
+ */
+export function listMockScripts() {
+	return fs
+		.readdirSync(SCRIPTS_DIRECTORY)
+		.filter((name) => SCRIPT_EXTENSIONS.has(path.extname(name).toLowerCase()))
+		.sort();
+}
+
+/**
+ * Load a mock transcription script.
+ * @param {string} [scriptPath] JSON or YAML file; defaults to MOCK_TRANSCRIPTION_SCRIPT
+ */
+export function loadMockScript(scriptPath) {
+	const filePath = resolveScriptPath(scriptPath);
+	let script;
+	try {
+		script = parseScript(fs.readFileSync(filePath, "utf8"), filePath);
+	} catch (error) {
+		throw new Error(
+			`Failed to read mock transcription script ${filePath}: ${error.message}`,
+		);
+	}
+
+	const events = Array.isArray(script) ? script : script?.events;
+	if (!Array.isArray(events)) {
+		throw new Error(`Mock script ${filePath} must define an events array.`);
+	}
+
+	return {
+		connectDelayMs: Math.max(0, Number(script?.connectDelayMs) || 0),
+		failConnect:
+			typeof script?.failConnect === "string" ? script.failConnect : null,
+		events: events
+			.map(normalizeEvent)
+			.sort(
+				(left, right) => left.atMs - right.atMs || left.index - right.index,
+			),
+	};
+}
+
+/**
+ * Create an offline transcription session that replays a scripted sequence of
+ * events, timed against the amount of audio received.
+ * @param {Object} params
+ * @param {string} [params.scriptPath] Script file; defaults to MOCK_TRANSCRIPTION_SCRIPT
+ * @param {number} params.sampleRate Audio sample rate
+ * @param {number} params.channels Number of channels
+ * @param {string} [params.language] Language reported on segments that do not set one
+ * @param {(status: string) => void} params.onStatus Status callback
+ * @param {(segment: import("./segment.js").TranscriptSegment) => void} params.onTranscript Transcript callback
+ * @param {(error: Error) => void} params.onError Error callback
+ */
+export async function createMockSession({
+	scriptPath,
+	sampleRate,
+	channels = 1,
+	language = null,
+	onStatus,
+	onTranscript,
+	onError,
+}) {
+	const script = loadMockScript(scriptPath);
+	const normalizedSampleRate =
+		Number.isFinite(sampleRate) && sampleRate > 0
+			? sampleRate
+			: DEFAULT_SAMPLE_RATE;
+	const normalizedChannels =
+		Number.isFinite(channels) && channels > 0 ? channels : 1;
+	const bytesPerMs =
+		(normalizedSampleRate * normalizedChannels * BYTES_PER_SAMPLE) / 1000;
+
+	if (script.connectDelayMs > 0) {
+		await new Promise((resolve) => setTimeout(resolve, script.connectDelayMs));
+	}
+	if (script.failConnect) {
+		throw new Error(`Mock connection failed: ${script.failConnect}`);
+	}
+
+	let receivedBytes = 0;
+	let nextEventIndex = 0;
+	let closed = false;
+	const segmentIds = new Map(); // channel -> id tracker, as for Deepgram
+	const nextSegmentId = (channel, isFinal) => {
+		const key = Number.isInteger(channel) ? channel : null;
+		if (!segmentIds.has(key)) {
+			segmentIds.set(
+				key,
+				createSegmentIdTracker(key === null ? "mock" : `mock-ch${key}`),
+			);
+		}
+		return segmentIds.get(key).next(isFinal);
+	};
+
+	const close = () => {
+		if (closed) return;
+		closed = true;
+		onStatus?.("closed");
+	};
+
+	const dispatch = (event) => {
+		switch (event.type) {
+			case "partial":
+			case "final": {
+				const isFinal = event.type === "final";
+				const segment = createSegment({
+					id: event.id ?? nextSegmentId(event.channel, isFinal),
+					text: event.text?.toString?.() ?? "",
+					words: event.words,
+					isFinal,
+					language: event.language ?? language,
+					speaker: event.speaker,
+					channel: event.channel,
+				});
+				if (!segment.text.length) return;
+				onTranscript?.(segment);
+				break;
+			}
+			case "status":
+				if (typeof event.status === "string") {
+					onStatus?.(event.status);
+				}
+				break;
+			case "error":
+				onError?.(new Error(event.message || "Mock transcription error"));
+				onStatus?.("error");
+				if (event.close !== false) {
+					closed = true;
+				}
+				break;
+			case "close":
+				close();
+				break;
+		}
+	};
+
+	const dispatchDueEvents = () => {
+		const elapsedMs = receivedBytes / bytesPerMs;
+		while (!closed && nextEventIndex < script.events.length) {
+			const event = script.events[nextEventIndex];
+			if (event.atMs > elapsedMs) break;
+			nextEventIndex += 1;
+			dispatch(event);
+		}
+	};
+
+	onStatus?.("connected");
+	dispatchDueEvents();
+
+	return {
+		sendAudio(chunk) {
+			if (closed || !chunk) return;
+			const length = chunk.byteLength ?? chunk.length ?? 0;
+			if (!length) return;
+			receivedBytes += length;
+			dispatchDueEvents();
+		},
+		async stop() {
+			close();
+		},
+	};
+}
+
+registerProvider({
+	id: "mock",
+	label: "Mock (Offline scripted)",
+	envKeys: ["MOCK_TRANSCRIPTION_SCRIPT"],
+	captureTypes: ["electron"],
+	multichannel: true,
+	partials: "cumulative",
+	// Script events follow the amount of audio received, not wall-clock time.
+	fileStreaming: { speed: 20 },
+	create: (options) => createMockSession(options),
+});
@@ -0,0 +1,254 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+const EXTERNAL_MODULE_EXTENSIONS = new Set([".js", ".mjs", ".cjs"]);
+
+const providers = new Map();
+
+export const DEFAULT_LANGUAGE = "zh";
+
+// Meeting languages offered in the UI. Providers map these ids to their own
+// language codes through `definition.languages`.
+export const TRANSCRIPTION_LANGUAGES = {
+	zh: "普通话",
+	yue: "粤语",
+	en: "English",
+};
+
+// How a provider's partial results relate to each other and to the final,
+// see transcriptModel.js. Most vendors restate the utterance so far.
+export const PARTIAL_SEMANTICS = ["cumulative", "replacing", "incremental"];
+
+// Audio files are resampled to this rate unless a provider asks for another.
+const DEFAULT_FILE_SAMPLE_RATE = 16000;
+
+const normalizeList = (value) =>
+	Array.isArray(value)
+		? value.filter((item) => typeof item === "string" && item.length > 0)
+		: [];
+
+const normalizeLanguages = (value) => {
+	if (!value || typeof value !== "object") return null;
+	const entries = Object.entries(value).filter(
+		([, code]) => typeof code === "string" && code.length > 0,
+	);
+	return entries.length ? Object.fromEntries(entries) : null;
+};
+
+const normalizeFileStreaming = (value) => {
+	const sampleRate = Number(value?.sampleRate);
+	const speed = Number(value?.speed);
+	return {
+		sampleRate: sampleRate > 0 ? sampleRate : DEFAULT_FILE_SAMPLE_RATE,
+		speed: speed > 0 ? speed : 1,
+	};
+};
+
+const normalizeKeepAlive = (value) => {
+	const intervalMs = Number(value?.intervalMs);
+	return intervalMs > 0 ? { intervalMs } : null;
+};
+
+const normalizePartials = (value, id) => {
+	if (value === undefined) return PARTIAL_SEMANTICS[0];
+	if (PARTIAL_SEMANTICS.includes(value)) return value;
+	console.warn(
+		`Provider "${id}" has unknown partials "${value}", using "${PARTIAL_SEMANTICS[0]}".`,
+	);
+	return PARTIAL_SEMANTICS[0];
+};
+
+const assertValidDefinition = (definition) => {
+	if (!definition || typeof definition !== "object") {
+		throw new Error("Provider definition must be an object.");
+	}
+	if (typeof definition.id !== "string" || !definition.id.trim().length) {
+		throw new Error("Provider definition is missing an id.");
+	}
+	if (typeof definition.create !== "function") {
+		throw new Error(
+			`Provider "${definition.id}" is missing a create(options) factory.`,
+		);
+	}
+};
+
+/**
+ * Register a transcription provider.
+ * @param {Object} definition
+ * @param {string} definition.id Unique provider id sent as `transcriptionType`
+ * @param {string} [definition.label] Label shown in the provider dropdown
+ * @param {string[]} [definition.envKeys] Environment keys the provider reads
+ * @param {string[]} [definition.captureTypes] Supported capture types (`electron`, `recall`)
+ * @param {Record<string, string>} [definition.languages] App language id -> vendor language code; omit to receive the app id unchanged
+ * @param {{sampleRate?: number; speed?: number}} [definition.fileStreaming] File transcription: sample rate to resample to (default 16000) and how many times faster than real time audio may be sent (default 1)
+ * @param {boolean} [definition.multichannel] Accepts interleaved multichannel audio and reports the channel of each segment; other providers receive a mono down-mix
+ * @param {"cumulative" | "replacing" | "incremental"} [definition.partials] What a partial result carries: the utterance so far (default), everything since the last final, or only new text
+ * @param {{intervalMs: number}} [definition.keepAlive] For vendors that close idle streams: how often to keep a stream alive while no audio is sent (silence gated out), through the session's `keepAlive()` or, without one, a short burst of silence
+ * @param {{providerKey: string; defaults?: Object; languageKey?: string}} [definition.recall] Recall transcript provider mapping; `languageKey` names the option that carries the language code
+ * @param {(options: Object) => Promise<{sendAudio: Function; stop: Function; keepAlive?: Function}> | {sendAudio: Function; stop: Function; keepAlive?: Function}} definition.create Session factory
+ */
+export function registerProvider(definition) {
+	assertValidDefinition(definition);
+	const id = definition.id.trim();
+	if (providers.has(id)) {
+		console.warn(`Transcription provider "${id}" is registered twice.`);
+	}
+
+	const captureTypes = normalizeList(definition.captureTypes);
+	providers.set(id, {
+		...definition,
+		id,
+		label:
+			typeof definition.label === "string" && definition.label.length
+				? definition.label
+				: id,
+		envKeys: normalizeList(definition.envKeys),
+		captureTypes: captureTypes.length ? captureTypes : ["electron"],
+		languages: normalizeLanguages(definition.languages),
+		fileStreaming: normalizeFileStreaming(definition.fileStreaming),
+		multichannel: definition.multichannel === true,
+		keepAlive: normalizeKeepAlive(definition.keepAlive),
+		partials: normalizePartials(definition.partials, id),
+	});
+}
+
+export function getProvider(id) {
+	return providers.get(id) ?? null;
+}
+
+export function listProviders() {
+	return [...providers.values()];
+}
+
+export function getProvidersForCapture(captureType) {
+	return listProviders().filter((provider) =>
+		provider.captureTypes.includes(captureType),
+	);
+}
+
+export function supportsCaptureType(id, captureType) {
+	return Boolean(getProvider(id)?.captureTypes.includes(captureType));
+}
+
+const listProviderLanguages = (provider) =>
+	provider.languages
+		? Object.keys(provider.languages)
+		: Object.keys(TRANSCRIPTION_LANGUAGES);
+
+export function supportsLanguage(id, language) {
+	const provider = getProvider(id);
+	return Boolean(
+		provider && listProviderLanguages(provider).includes(language),
+	);
+}
+
+/**
+ * Map an app language id to the provider's own language code.
+ * @param {string} id Provider id
+ * @param {string} [language] App language id (see TRANSCRIPTION_LANGUAGES)
+ * @throws {Error} When the provider does not support the language
+ */
+export function resolveProviderLanguage(id, language = DEFAULT_LANGUAGE) {
+	const provider = getProvider(id);
+	if (!provider) {
+		throw new Error(`Unknown transcription provider "${id}".`);
+	}
+	if (!supportsLanguage(id, language)) {
+		throw new Error(
+			`${provider.label} 不支持${TRANSCRIPTION_LANGUAGES[language] ?? language}，请更换语言或转写提供商。`,
+		);
+	}
+	return provider.languages?.[language] ?? language;
+}
+
+/**
+ * Serializable provider metadata for the renderer.
+ */
+export function describeProviders() {
+	return listProviders().map((provider) => ({
+		value: provider.id,
+		label: provider.label,
+		envKeys: provider.envKeys,
+		captureTypes: provider.captureTypes,
+		languages: listProviderLanguages(provider),
+		fileSampleRate: provider.fileStreaming.sampleRate,
+		multichannel: provider.multichannel,
+		partials: provider.partials,
+	}));
+}
+
+const registerModuleExports = (moduleExports, source) => {
+	const exported = moduleExports?.default ?? moduleExports?.provider;
+	const definitions = Array.isArray(exported) ? exported : [exported];
+	let registered = 0;
+
+	for (const definition of definitions) {
+		if (!definition) continue;
+		try {
+			// An external module must not silently replace a built-in provider
+			// or one loaded before it.
+			const id = definition.id?.trim?.();
+			if (providers.has(id)) {
+				throw new Error(
+					`Provider "${id}" is already registered; external providers need an id of their own.`,
+				);
+			}
+			registerProvider(definition);
+			registered += 1;
+		} catch (error) {
+			console.error(`Invalid transcription provider in ${source}:`, error);
+		}
+	}
+
+	return registered;
+};
+
+const collectModuleFiles = (target) => {
+	let stats;
+	try {
+		stats = fs.statSync(target);
+	} catch {
+		return [];
+	}
+
+	if (stats.isFile()) {
+		return [target];
+	}
+	if (!stats.isDirectory()) {
+		return [];
+	}
+
+	return fs
+		.readdirSync(target)
+		.filter((name) => EXTERNAL_MODULE_EXTENSIONS.has(path.extname(name)))
+		.sort()
+		.map((name) => path.join(target, name));
+};
+
+/**
+ * Import provider modules that live outside the repository. Each module must
+ * default-export a provider definition (or an array of them). A definition
+ * whose id is already registered is rejected with an error in the log.
+ * @param {string[]} locations Files or directories to load
+ * @returns {Promise<string[]>} Ids of providers registered by these modules
+ */
+export async function loadExternalProviders(locations = []) {
+	const before = new Set(providers.keys());
+
+	for (const location of locations) {
+		if (typeof location !== "string" || !location.trim().length) continue;
+		for (const file of collectModuleFiles(path.resolve(location.trim()))) {
+			try {
+				const moduleExports = await import(pathToFileURL(file).href);
+				if (!registerModuleExports(moduleExports, file)) {
+					console.warn(`No transcription provider exported by ${file}.`);
+				}
+			} catch (error) {
+				console.error(`Failed to load transcription provider ${file}:`, error);
+			}
+		}
+	}
+
+	return [...providers.keys()].filter((id) => !before.has(id));
+}
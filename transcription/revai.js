@@ -5,17 +5,21 @@ import {
 	RevAiStreamingClient,
 	SessionConfig,
 } from "revai-node-sdk";
+import { registerProvider } from "./registry.js";
+import { createSegment, createSegmentIdTracker } from "./segment.js";
 
 const MIN_SAMPLE_RATE = 8000;
 const MAX_SAMPLE_RATE = 48000;
 const DEFAULT_SAMPLE_RATE = 16000;
 const DEFAULT_CHANNELS = 1;
-const DEFAULT_LANGUAGE = "en";
+const DEFAULT_LANGUAGE = "cmn";
+const LANGUAGE_CODES = { zh: "cmn", en: "en" };
 const DEFAULT_LAYOUT = "interleaved";
 const DEFAULT_FORMAT = "S16LE";
 const STOP_TIMEOUT_MS = 5000;
 const REVAI_FINAL_TYPE = "final";
 const REVAI_PARTIAL_TYPE = "partial";
+const SECONDS_TO_MS = 1000;
 
 const clampSampleRate = (value) => {
 	const numeric = Number.isFinite(value) ? value : DEFAULT_SAMPLE_RATE;
@@ -45,10 +49,9 @@ const resolveDeployment = () => {
 	return undefined;
 };
 
-const buildSessionConfig = () => {
+const buildSessionConfig = (language) => {
 	const sessionConfig = new SessionConfig();
-	sessionConfig.language =
-		process.env.REVAI_LANGUAGE?.trim?.() || DEFAULT_LANGUAGE;
+	sessionConfig.language = language;
 	sessionConfig.detailedPartials = true;
 	return sessionConfig;
 };
@@ -67,20 +70,34 @@ const extractTextFromElements = (elements) => {
 		.trim();
 };
 
+// Punctuation elements include the whitespace between words; those are dropped.
+const elementsToWords = (elements) =>
+	(Array.isArray(elements) ? elements : [])
+		.filter((element) => element?.value?.trim?.().length)
+		.map((element) => ({
+			text: element.value,
+			start: Number(element.ts) * SECONDS_TO_MS,
+			end: Number(element.end_ts) * SECONDS_TO_MS,
+			confidence: element.confidence,
+			punctuation: element.type === "punct",
+		}));
+
 /**
  * Create a Rev.ai live transcription session.
  * @param {Object} params
  * @param {string} params.apiKey Rev.ai access token
  * @param {number} params.sampleRate Audio sample rate
  * @param {number} params.channels Number of channels
+ * @param {string} [params.language] Language code as returned by the registry mapping
  * @param {(status: string) => void} params.onStatus Status callback
- * @param {(payload: {text: string; isFinal: boolean}) => void} params.onTranscript Transcript callback
+ * @param {(segment: import("./segment.js").TranscriptSegment) => void} params.onTranscript Transcript callback
  * @param {(error: Error) => void} params.onError Error callback
  */
 export async function createRevaiSession({
 	apiKey,
 	sampleRate,
 	channels = DEFAULT_CHANNELS,
+	language = DEFAULT_LANGUAGE,
 	onStatus,
 	onTranscript,
 	onError,
@@ -108,7 +125,7 @@ export async function createRevaiSession({
 		: apiKey;
 
 	const streamingClient = new RevAiStreamingClient(clientOptions, audioConfig);
-	const sessionConfig = buildSessionConfig();
+	const sessionConfig = buildSessionConfig(language);
 
 	let stream;
 	try {
@@ -119,6 +136,7 @@ export async function createRevaiSession({
 	}
 
 	let streamClosed = false;
+	const segmentIds = createSegmentIdTracker("revai");
 
 	function handleHypothesis(data) {
 		if (!data || typeof data !== "object") {
@@ -134,10 +152,16 @@ export async function createRevaiSession({
 			return;
 		}
 
-		onTranscript?.({
-			text,
-			isFinal: type === REVAI_FINAL_TYPE,
-		});
+		const isFinal = type === REVAI_FINAL_TYPE;
+		onTranscript?.(
+			createSegment({
+				id: segmentIds.next(isFinal),
+				text,
+				words: elementsToWords(elements),
+				isFinal,
+				language: sessionConfig.language,
+			}),
+		);
 	}
 
 	function handleStreamEnd() {
@@ -270,3 +294,24 @@ export async function createRevaiSession({
 		},
 	};
 }
+
+registerProvider({
+	id: "revai",
+	label: "Rev.ai (Electron only)",
+	// REVAI_DEPLOYMENT and REVAI_LOCATION are aliases of REVAI_REGION.
+	envKeys: [
+		"REVAI_ACCESS_TOKEN",
+		"REVAI_REGION",
+		"REVAI_DEPLOYMENT",
+		"REVAI_LOCATION",
+	],
+	captureTypes: ["electron"],
+	languages: LANGUAGE_CODES,
+	partials: "cumulative",
+	keepAlive: { intervalMs: 10000 },
+	create: (options) =>
+		createRevaiSession({
+			apiKey: process.env.REVAI_ACCESS_TOKEN,
+			...options,
+		}),
+});
@@ -0,0 +1,167 @@
+// Scripts written without spaces between words.
+const CJK_PATTERN = /[぀-ヿ㐀-鿿豈-﫿가-힯]/;
+const PUNCTUATION_PATTERN = /^[\p{P}\p{S}]+$/u;
+
+const toFiniteNumber = (value) => {
+	const numeric = Number(value);
+	return Number.isFinite(numeric) ? numeric : null;
+};
+
+const toConfidence = (value) => {
+	const numeric = toFiniteNumber(value);
+	if (numeric === null) return null;
+	return Math.max(0, Math.min(1, numeric));
+};
+
+/**
+ * @typedef {Object} TranscriptWord
+ * @property {string} text
+ * @property {number | null} start Milliseconds from the start of the provider stream
+ * @property {number | null} end Milliseconds from the start of the provider stream
+ * @property {number | null} confidence Between 0 and 1
+ * @property {boolean} punctuation
+ */
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {string | null} id Shared by the partials and the final of one utterance
+ * @property {string} text
+ * @property {TranscriptWord[]} words
+ * @property {boolean} isFinal
+ * @property {string | null} language
+ * @property {string | null} speaker
+ * @property {number | null} channel 0-based audio channel of multichannel streams
+ */
+
+export const isPunctuation = (text) => PUNCTUATION_PATTERN.test(text);
+
+/**
+ * Normalize one vendor word into `{text, start, end, confidence, punctuation}`.
+ * Times are milliseconds from the start of the provider stream.
+ * @param {Object} word
+ * @param {string} word.text Word text as returned by the vendor
+ * @param {number} [word.start] Start time in milliseconds
+ * @param {number} [word.end] End time in milliseconds
+ * @param {number} [word.confidence] Confidence between 0 and 1
+ * @param {boolean} [word.punctuation] Whether the token is punctuation
+ */
+export function createWord({ text, start, end, confidence, punctuation }) {
+	const value = text?.toString?.().trim?.() ?? "";
+	return {
+		text: value,
+		start: toFiniteNumber(start),
+		end: toFiniteNumber(end),
+		confidence: toConfidence(confidence),
+		punctuation:
+			typeof punctuation === "boolean" ? punctuation : isPunctuation(value),
+	};
+}
+
+/**
+ * Join words into display text, without spaces between CJK characters or
+ * before punctuation.
+ */
+export function joinWords(words = []) {
+	let buffer = "";
+	for (const word of words) {
+		const text = word?.text ?? "";
+		if (!text.length) continue;
+		const needsSpace =
+			buffer.length &&
+			!word.punctuation &&
+			!CJK_PATTERN.test(buffer.at(-1)) &&
+			!CJK_PATTERN.test(text[0]);
+		buffer += needsSpace ? ` ${text}` : text;
+	}
+	return buffer.trim();
+}
+
+/**
+ * Build a transcript segment in the shape every provider emits:
+ * `{id, text, words, isFinal, language, speaker, channel}`.
+ * @param {Object} params
+ * @param {string} params.id Segment id; partials and the final of one utterance share it
+ * @param {string} [params.text] Display text; derived from `words` when omitted
+ * @param {Array<Object>} [params.words] Word list passed through `createWord`
+ * @param {boolean} params.isFinal Whether the segment is final
+ * @param {string | null} [params.language] Language code of the segment
+ * @param {string | null} [params.speaker] Speaker label
+ * @param {number | null} [params.channel] 0-based channel the segment was heard on
+ */
+export function createSegment({
+	id,
+	text,
+	words = [],
+	isFinal,
+	language = null,
+	speaker = null,
+	channel = null,
+}) {
+	const normalizedWords = (Array.isArray(words) ? words : [])
+		.map(createWord)
+		.filter((word) => word.text.length);
+	const normalizedText =
+		typeof text === "string" && text.trim().length
+			? text.trim()
+			: joinWords(normalizedWords);
+
+	return {
+		id: id === undefined || id === null ? null : String(id),
+		text: normalizedText,
+		words: normalizedWords,
+		isFinal: Boolean(isFinal),
+		language: language || null,
+		speaker:
+			speaker === undefined || speaker === null || speaker === ""
+				? null
+				: String(speaker),
+		channel: Number.isInteger(channel) && channel >= 0 ? channel : null,
+	};
+}
+
+/**
+ * Hand out segment ids for providers that do not number their utterances:
+ * partials share the id of the final that closes them.
+ * @param {string} prefix Id prefix, usually the provider id
+ */
+export function createSegmentIdTracker(prefix) {
+	let index = 0;
+	return {
+		next(isFinal) {
+			const id = `${prefix}-${index}`;
+			if (isFinal) index += 1;
+			return id;
+		},
+	};
+}
+
+/**
+ * Display label for a 0-based vendor speaker index, e.g. `Speaker 1`.
+ * @param {number} index
+ */
+export function formatSpeakerLabel(index) {
+	const numeric = toFiniteNumber(index);
+	return numeric === null || numeric < 0 ? null : `Speaker ${numeric + 1}`;
+}
+
+/**
+ * Pick the speaker that owns most of a segment's words; vendors that label
+ * speakers per word can split one result across several voices.
+ * @param {Array<string | number | null | undefined>} speakers
+ */
+export function pickDominantSpeaker(speakers = []) {
+	const counts = new Map();
+	for (const speaker of speakers) {
+		if (speaker === undefined || speaker === null || speaker === "") continue;
+		counts.set(speaker, (counts.get(speaker) ?? 0) + 1);
+	}
+	let dominant = null;
+	let dominantCount = 0;
+	for (const [speaker, count] of counts) {
+		if (count > dominantCount) {
+			dominant = speaker;
+			dominantCount = count;
+		}
+	}
+	return dominant;
+}
@@ -1,14 +1,23 @@
 import { createSpeechmaticsJWT } from "@speechmatics/auth";
 import { RealtimeClient } from "@speechmatics/real-time-client";
+import { registerProvider } from "./registry.js";
+import {
+	createSegment,
+	createSegmentIdTracker,
+	formatSpeakerLabel,
+	pickDominantSpeaker,
+} from "./segment.js";
 
 const MIN_SAMPLE_RATE = 8000;
 const MAX_SAMPLE_RATE = 48000;
 const DEFAULT_SAMPLE_RATE = 16000;
-const DEFAULT_LANGUAGE = "en";
+const DEFAULT_LANGUAGE = "cmn";
+const LANGUAGE_CODES = { zh: "cmn", yue: "yue", en: "en" };
 const DEFAULT_OPERATING_POINT = "enhanced";
 const DEFAULT_JWT_TTL = 60;
 const STOP_TIMEOUT_MS = 5000;
 const RAW_ENCODING = "pcm_s16le";
+const SECONDS_TO_MS = 1000;
 
 const clampSampleRate = (value) => {
 	const numeric = Number.isFinite(value) ? value : DEFAULT_SAMPLE_RATE;
@@ -17,9 +26,6 @@ const clampSampleRate = (value) => {
 	return numeric;
 };
 
-const getLanguage = () =>
-	process.env.SPEECHMATICS_LANGUAGE?.trim?.() || DEFAULT_LANGUAGE;
-
 const getOperatingPoint = () =>
 	process.env.SPEECHMATICS_OPERATING_POINT?.trim?.() || DEFAULT_OPERATING_POINT;
 
@@ -34,19 +40,26 @@ const getRegion = () =>
 const getRealtimeUrl = () =>
 	process.env.SPEECHMATICS_REALTIME_URL?.trim?.() || undefined;
 
-const resultsToText = (results = []) => {
-	let buffer = "";
-	for (const result of results) {
-		const content = result?.alternatives?.[0]?.content ?? "";
-		if (!content.length) continue;
-		if (result?.type === "word" && buffer.length && !buffer.endsWith(" ")) {
-			buffer += " ";
-		}
-		buffer += content;
-	}
-	return buffer.trim();
+// Diarized results are labelled "S1", "S2", …; "UU" marks an unknown speaker.
+const toSpeechmaticsSpeaker = (label) => {
+	const match = /^S(\d+)$/.exec(label ?? "");
+	return match ? formatSpeakerLabel(Number(match[1]) - 1) : null;
 };
 
+const resultsToWords = (results = []) =>
+	results.map((result) => {
+		const alternative = result?.alternatives?.[0];
+		return {
+			text: alternative?.content,
+			start: Number(result?.start_time) * SECONDS_TO_MS,
+			end: Number(result?.end_time) * SECONDS_TO_MS,
+			confidence: alternative?.confidence,
+			punctuation: result?.type === "punctuation",
+			language: alternative?.language,
+			speaker: alternative?.speaker,
+		};
+	});
+
 const isResultFinal = (message, data) => {
 	if (message === "AddTranscript") return true;
 	if (message === "AddPartialTranscript") return false;
@@ -67,14 +80,16 @@ const isResultFinal = (message, data) => {
  * @param {string} params.apiKey Speechmatics API key
  * @param {number} params.sampleRate Audio sample rate
  * @param {number} params.channels Channel count
+ * @param {string} [params.language] Language code as returned by the registry mapping
  * @param {(status: string) => void} params.onStatus Status callback
- * @param {(payload: {text: string; isFinal: boolean}) => void} params.onTranscript Transcript callback
+ * @param {(segment: import("./segment.js").TranscriptSegment) => void} params.onTranscript Transcript callback
  * @param {(error: Error) => void} params.onError Error callback
  */
 export async function createSpeechmaticsSession({
 	apiKey,
 	sampleRate,
 	channels = 1,
+	language = DEFAULT_LANGUAGE,
 	onStatus,
 	onTranscript,
 	onError,
@@ -131,6 +146,7 @@ export async function createSpeechmaticsSession({
 
 	let closed = false;
 	let listenersBound = false;
+	const segmentIds = createSegmentIdTracker("speechmatics");
 
 	const handleSocketStateChange = (event) => {
 		switch (event?.socketState) {
@@ -158,12 +174,19 @@ export async function createSpeechmaticsSession({
 		switch (data.message) {
 			case "AddPartialTranscript":
 			case "AddTranscript": {
-				const text = resultsToText(data.results);
-				if (!text.length) return;
-				onTranscript?.({
-					text,
-					isFinal: isResultFinal(data.message, data),
+				const words = resultsToWords(data.results);
+				const isFinal = isResultFinal(data.message, data);
+				const segment = createSegment({
+					id: segmentIds.next(isFinal),
+					words,
+					isFinal,
+					language: words.find((word) => word.language)?.language ?? language,
+					speaker: toSpeechmaticsSpeaker(
+						pickDominantSpeaker(words.map((word) => word.speaker)),
+					),
 				});
+				if (!segment.text.length) return;
+				onTranscript?.(segment);
 				break;
 			}
 			case "EndOfTranscript":
@@ -215,9 +238,10 @@ export async function createSpeechmaticsSession({
 				sample_rate: normalizedSampleRate,
 			},
 			transcription_config: {
-				language: getLanguage(),
+				language,
 				operating_point: getOperatingPoint(),
 				max_delay: 1.0,
+				diarization: "speaker",
 				enable_partials: true,
 				transcript_filtering_config: {
 					remove_disfluencies: true,
@@ -287,3 +311,26 @@ export async function createSpeechmaticsSession({
 		},
 	};
 }
+
+registerProvider({
+	id: "speechmatics",
+	label: "Speechmatics (Electron only)",
+	envKeys: [
+		"SPEECHMATICS_API_KEY",
+		"SPEECHMATICS_OPERATING_POINT",
+		"SPEECHMATICS_REGION",
+		"SPEECHMATICS_REALTIME_URL",
+		"SPEECHMATICS_JWT_TTL",
+	],
+	captureTypes: ["electron"],
+	languages: LANGUAGE_CODES,
+	// AddPartialTranscript covers everything after the last AddTranscript,
+	// which may finalize only the first words of it.
+	partials: "replacing",
+	keepAlive: { intervalMs: 10000 },
+	create: (options) =>
+		createSpeechmaticsSession({
+			apiKey: process.env.SPEECHMATICS_API_KEY,
+			...options,
+		}),
+});
@@ -0,0 +1,175 @@
+import { generateGoogleGenaiText } from "./transcription/googleGenai.js";
+
+const REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_OPENAI_MODEL = "gpt-4o-mini";
+
+const translators = new Map();
+const warnedTranslatorIds = new Set();
+
+/**
+ * Register a translation backend, selected by the `TRANSLATION_PROVIDER`
+ * setting.
+ * @param {Object} definition
+ * @param {string} definition.id Value of `TRANSLATION_PROVIDER`
+ * @param {string} [definition.label]
+ * @param {(params: {text: string; targetLanguage: string; prompt: string}) => Promise<string>} definition.translate Resolves with the translated text
+ */
+export function registerTranslator(definition) {
+	if (!definition?.id || typeof definition.translate !== "function") {
+		throw new Error("Translator definition needs an id and translate().");
+	}
+	translators.set(definition.id, {
+		id: definition.id,
+		label: definition.label ?? definition.id,
+		translate: definition.translate,
+	});
+}
+
+/**
+ * Split the `TRANSLATION_TARGET_LANGUAGES` setting into language tags.
+ * @param {string} [value] Comma or whitespace separated tags, e.g. `en, zh-CN`
+ */
+export function parseTargetLanguages(value) {
+	return [
+		...new Set((value ?? "").split(/[\s,]+/).filter((entry) => entry.length)),
+	];
+}
+
+const describeLanguage = (code) => {
+	try {
+		const name = new Intl.DisplayNames(["en"], { type: "language" }).of(code);
+		return name && name !== code ? `${name} (${code})` : code;
+	} catch {
+		return code;
+	}
+};
+
+const primarySubtag = (code) => code?.toLowerCase?.().split(/[-_]/)[0] ?? "";
+
+// Only skips when the provider reported the segment's language; in mixed
+// meetings the session language says nothing about a single line.
+const isSameLanguage = (source, target) =>
+	Boolean(source) && primarySubtag(source) === primarySubtag(target);
+
+const buildPrompt = (text, targetLanguage) =>
+	[
+		`Translate this line of a meeting transcript into ${describeLanguage(targetLanguage)}.`,
+		"Keep names and technical terms as spoken. Return only the translation; if the line is already in that language, return it unchanged.",
+		"",
+		text,
+	].join("\n");
+
+const translateWithOpenAiCompatible = async ({ prompt }) => {
+	const baseUrl = (
+		process.env.TRANSLATION_OPENAI_BASE_URL?.trim?.() || DEFAULT_OPENAI_BASE_URL
+	).replace(/\/+$/, "");
+	const apiKey = process.env.TRANSLATION_OPENAI_API_KEY;
+	const response = await fetch(`${baseUrl}/chat/completions`, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			// Local servers usually run without a key.
+			...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+		},
+		body: JSON.stringify({
+			model: process.env.TRANSLATION_MODEL?.trim?.() || DEFAULT_OPENAI_MODEL,
+			temperature: 0,
+			messages: [{ role: "user", content: prompt }],
+		}),
+		signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+	});
+	if (!response.ok) {
+		throw new Error(
+			`Translation request failed with status ${response.status}`,
+		);
+	}
+	const body = await response.json();
+	return body?.choices?.[0]?.message?.content?.trim?.() ?? "";
+};
+
+registerTranslator({
+	id: "gemini",
+	label: "Google Gemini",
+	translate: ({ prompt }) =>
+		generateGoogleGenaiText({
+			prompt,
+			modelId: process.env.TRANSLATION_MODEL?.trim?.() || undefined,
+		}),
+});
+
+registerTranslator({
+	id: "openai",
+	label: "OpenAI 兼容接口",
+	translate: translateWithOpenAiCompatible,
+});
+
+const resolveTranslator = () => {
+	const id = process.env.TRANSLATION_PROVIDER?.trim?.() ?? "";
+	if (!id.length) return null;
+	const translator = translators.get(id);
+	if (!translator && !warnedTranslatorIds.has(id)) {
+		warnedTranslatorIds.add(id);
+		console.warn(`Unknown translation provider "${id}".`);
+	}
+	return translator ?? null;
+};
+
+const translateSegment = async (segment, translator, targetLanguages) => {
+	const entries = await Promise.all(
+		targetLanguages
+			.filter((language) => !isSameLanguage(segment.language, language))
+			.map(async (targetLanguage) => {
+				try {
+					const text = await translator.translate({
+						text: segment.text,
+						targetLanguage,
+						prompt: buildPrompt(segment.text, targetLanguage),
+					});
+					return [targetLanguage, text];
+				} catch (error) {
+					console.error(
+						`Failed to translate segment into ${targetLanguage}:`,
+						error,
+					);
+					return [targetLanguage, ""];
+				}
+			}),
+	);
+	const translations = Object.fromEntries(
+		entries.filter(([, text]) => text?.length),
+	);
+	return Object.keys(translations).length ? translations : null;
+};
+
+/**
+ * Translate final segments with the backend and target languages from the
+ * `TRANSLATION_*` settings. Segments are translated one after another so
+ * results come back in transcript order.
+ */
+export function createSegmentTranslator() {
+	let queue = Promise.resolve();
+
+	return {
+		/**
+		 * Queue a segment; the settings are read now, so changes apply to the
+		 * next segment.
+		 * @param {{text: string; language?: string | null}} segment
+		 * @returns {Promise<Record<string, string> | null>} Target language -> translation; null when translation is off or every language failed
+		 */
+		translate(segment) {
+			const translator = resolveTranslator();
+			const targetLanguages = parseTargetLanguages(
+				process.env.TRANSLATION_TARGET_LANGUAGES,
+			);
+			if (!translator || !targetLanguages.length || !segment?.text?.length) {
+				return Promise.resolve(null);
+			}
+			const result = queue.then(() =>
+				translateSegment(segment, translator, targetLanguages),
+			);
+			queue = result.catch(() => {});
+			return result;
+		},
+	};
+}
@@ -0,0 +1,64 @@
+/**
+ * Render translated segments as the original line followed by one line per
+ * target language. Hidden until the first translation arrives.
+ * @param {Object} params
+ * @param {HTMLElement} params.container Element the pairs are rendered into
+ */
+export function createTranslationTranscript({ container }) {
+	const pairsEl = document.createElement("div");
+	container.append(pairsEl);
+
+	const createLine = (className, text, language) => {
+		const lineEl = document.createElement("p");
+		lineEl.className = className;
+		if (language) {
+			const languageEl = document.createElement("span");
+			languageEl.className = "translation-language";
+			languageEl.textContent = language;
+			lineEl.append(languageEl, " ");
+		}
+		lineEl.append(text);
+		return lineEl;
+	};
+
+	const appendPair = ({ text, speaker = null, translations }) => {
+		const entries = Object.entries(translations ?? {}).filter(
+			([, translation]) => translation?.trim?.().length,
+		);
+		if (!entries.length) return false;
+		const pairEl = document.createElement("div");
+		pairEl.className = "translation-pair";
+		pairEl.append(
+			createLine("original", speaker ? `${speaker}：${text}` : text),
+			...entries.map(([language, translation]) =>
+				createLine("translated", translation.trim(), language),
+			),
+		);
+		pairsEl.append(pairEl);
+		return true;
+	};
+
+	return {
+		/**
+		 * Clear the view, optionally showing a saved session's translations.
+		 * @param {Array<{text: string; speaker?: string | null; translations?: Record<string, string>}>} [segments]
+		 */
+		reset(segments = []) {
+			pairsEl.innerHTML = "";
+			let shown = false;
+			for (const segment of segments) {
+				shown = appendPair(segment) || shown;
+			}
+			container.hidden = !shown;
+		},
+		/**
+		 * Append the translation of a final segment from the running session.
+		 * @param {{text: string; speaker?: string | null; translations: Record<string, string>}} segment
+		 */
+		addTranslation(segment) {
+			if (!appendPair(segment)) return;
+			container.hidden = false;
+			container.scrollTop = container.scrollHeight;
+		},
+	};
+}
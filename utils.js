@@ -1,15 +1,26 @@
 import * as OpenCC from "opencc-js";
 
-const converter = OpenCC.Converter({ from: "hk", to: "cn" });
+export const OPENCC_LOCALES = ["cn", "tw", "twp", "hk", "jp", "t"];
 
-export function convertToSimpleChinese(text) {
+const converters = new Map(); // "from:to" -> converter
+
+/**
+ * Convert Chinese text between scripts and regional variants with OpenCC.
+ * @param {string} text
+ * @param {{from?: string; to?: string}} [direction] OpenCC locales, see `OPENCC_LOCALES`; defaults to Hong Kong traditional -> simplified
+ */
+export function convertChineseText(text, { from = "hk", to = "cn" } = {}) {
 	const value = typeof text === "string" ? text : (text?.toString?.() ?? "");
 	if (!value.length) {
 		return "";
 	}
 
+	const key = `${from}:${to}`;
 	try {
-		return converter(value);
+		if (!converters.has(key)) {
+			converters.set(key, OpenCC.Converter({ from, to }));
+		}
+		return converters.get(key)(value);
 	} catch (error) {
 		console.error("OpenCC conversion failed:", error);
 		return value;
@@ -0,0 +1,117 @@
+const BYTES_PER_SAMPLE = 2;
+const WINDOW_MS = 20;
+// Below this RMS (about -40 dBFS) a window never counts as speech.
+const MIN_SPEECH_RMS = 0.01;
+const SPEECH_TO_NOISE_RATIO = 3;
+const MIN_SPEECH_WINDOWS = 2;
+// The noise floor drops quickly to quieter rooms and rises slowly, so a
+// sustained voice is not mistaken for background noise.
+const NOISE_FLOOR_FALL = 0.5;
+const NOISE_FLOOR_RISE = 0.02;
+
+export const DEFAULT_HANGOVER_MS = 800;
+export const DEFAULT_PRE_ROLL_MS = 300;
+
+/**
+ * Energy-based voice activity gate for interleaved 16-bit PCM. Speech is a
+ * chunk with enough 20 ms windows well above the adaptive noise floor. Audio
+ * keeps flowing for `hangoverMs` after speech ends, and the last `preRollMs`
+ * of silence is sent ahead of new speech so first syllables are not clipped.
+ * @param {Object} params
+ * @param {number} params.sampleRate Sample rate in Hz
+ * @param {number} [params.channels] Interleaved channel count
+ * @param {number} [params.hangoverMs] Audio kept after speech ends
+ * @param {number} [params.preRollMs] Audio replayed before speech starts
+ * @param {(speaking: boolean) => void} [params.onChange] Called when speech starts or ends
+ */
+export function createVoiceGate({
+	sampleRate,
+	channels = 1,
+	hangoverMs = DEFAULT_HANGOVER_MS,
+	preRollMs = DEFAULT_PRE_ROLL_MS,
+	onChange,
+}) {
+	const frameBytes = channels * BYTES_PER_SAMPLE;
+	const bytesPerMs = (sampleRate * frameBytes) / 1000;
+	const windowBytes = Math.max(
+		frameBytes,
+		Math.round((sampleRate * WINDOW_MS) / 1000) * frameBytes,
+	);
+	const preRollBytes = Math.round((sampleRate * preRollMs) / 1000) * frameBytes;
+	let noiseFloor = null;
+	let speaking = false;
+	let hangoverRemainingMs = 0;
+	let preRoll = Buffer.alloc(0);
+
+	const windowRms = (chunk, start, end) => {
+		let sum = 0;
+		for (let offset = start; offset + 1 < end; offset += BYTES_PER_SAMPLE) {
+			const sample = chunk.readInt16LE(offset) / 32768;
+			sum += sample * sample;
+		}
+		return Math.sqrt(sum / Math.max(1, (end - start) / BYTES_PER_SAMPLE));
+	};
+
+	const containsSpeech = (chunk) => {
+		let speechWindows = 0;
+		for (let start = 0; start < chunk.length; start += windowBytes) {
+			const rms = windowRms(
+				chunk,
+				start,
+				Math.min(chunk.length, start + windowBytes),
+			);
+			const threshold = Math.max(
+				MIN_SPEECH_RMS,
+				(noiseFloor ?? 0) * SPEECH_TO_NOISE_RATIO,
+			);
+			if (rms >= threshold) {
+				speechWindows += 1;
+				continue;
+			}
+			noiseFloor =
+				noiseFloor === null
+					? rms
+					: noiseFloor +
+						(rms - noiseFloor) *
+							(rms < noiseFloor ? NOISE_FLOOR_FALL : NOISE_FLOOR_RISE);
+		}
+		return speechWindows >= MIN_SPEECH_WINDOWS;
+	};
+
+	const setSpeaking = (value) => {
+		if (speaking === value) return;
+		speaking = value;
+		onChange?.(value);
+	};
+
+	return {
+		get speaking() {
+			return speaking;
+		},
+		/**
+		 * @param {Buffer} chunk Captured PCM
+		 * @returns {Buffer[]} Audio to forward, empty while silent
+		 */
+		push(chunk) {
+			if (containsSpeech(chunk)) {
+				hangoverRemainingMs = hangoverMs;
+				const forwarded = preRoll.length ? [preRoll, chunk] : [chunk];
+				preRoll = Buffer.alloc(0);
+				setSpeaking(true);
+				return forwarded;
+			}
+			if (hangoverRemainingMs > 0) {
+				hangoverRemainingMs -= chunk.length / bytesPerMs;
+				return [chunk];
+			}
+			setSpeaking(false);
+			if (preRollBytes > 0) {
+				const combined = Buffer.concat([preRoll, chunk]);
+				preRoll = Buffer.from(
+					combined.subarray(Math.max(0, combined.length - preRollBytes)),
+				);
+			}
+			return [];
+		},
+	};
+}
@@ -0,0 +1,309 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const DELIVERY_FILE_EXTENSION = ".json";
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+// Client errors other than these will not go away by retrying.
+const RETRYABLE_CLIENT_STATUSES = new Set([408, 425, 429]);
+
+export const WEBHOOK_EVENTS = ["segment.final", "session.ended"];
+
+/**
+ * Split the `WEBHOOK_URLS` setting into valid http(s) URLs.
+ * @param {string} [value] Comma or whitespace separated URLs
+ */
+export function parseWebhookUrls(value) {
+	const urls = [];
+	for (const entry of (value ?? "").split(/[\s,]+/)) {
+		if (!entry.length) continue;
+		try {
+			const url = new URL(entry);
+			if (url.protocol === "http:" || url.protocol === "https:") {
+				urls.push(url.toString());
+				continue;
+			}
+		} catch {
+			// Reported below.
+		}
+		console.warn(`Ignoring invalid webhook URL "${entry}".`);
+	}
+	return urls;
+}
+
+/**
+ * Signature sent in `X-Transcript-Signature`: HMAC-SHA256 over
+ * `<timestamp>.<raw body>` with the shared secret, hex encoded.
+ * @param {string} secret Shared secret
+ * @param {string} timestamp Value of `X-Transcript-Timestamp`
+ * @param {string} body Raw request body
+ */
+export function signWebhookBody(secret, timestamp, body) {
+	const digest = crypto
+		.createHmac("sha256", secret)
+		.update(`${timestamp}.${body}`)
+		.digest("hex");
+	return `sha256=${digest}`;
+}
+
+const retryDelay = (attempts) =>
+	Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Deliver webhook events with retries. Every delivery is a file in
+ * `directory` until it succeeds or gives up, so pending events survive a
+ * restart. Deliveries to one URL keep their order: a failing delivery holds
+ * back the later ones for the same URL. Deliveries to URLs that are no
+ * longer configured are dropped.
+ * @param {Object} params
+ * @param {string} params.directory Queue directory, e.g. `<userData>/webhooks`
+ * @param {() => {urls: string[]; secret?: string}} params.resolveConfig Current URLs and secret; the secret is read at send time and never stored
+ */
+export function createWebhookDispatcher({ directory, resolveConfig }) {
+	const deliveries = new Map(); // delivery id -> delivery
+	let timer = null;
+	let pumping = null;
+	let stopped = false;
+
+	const resolveDeliveryFile = (id) =>
+		path.join(directory, `${id}${DELIVERY_FILE_EXTENSION}`);
+
+	const persist = async (delivery) => {
+		await fs.promises.mkdir(directory, { recursive: true });
+		const file = resolveDeliveryFile(delivery.id);
+		const temporaryFile = `${file}.tmp`;
+		await fs.promises.writeFile(
+			temporaryFile,
+			JSON.stringify(delivery),
+			"utf8",
+		);
+		await fs.promises.rename(temporaryFile, file);
+	};
+
+	const remove = async (delivery) => {
+		deliveries.delete(delivery.id);
+		await fs.promises.rm(resolveDeliveryFile(delivery.id), { force: true });
+	};
+
+	const send = async (delivery) => {
+		const body = JSON.stringify({
+			id: delivery.id,
+			event: delivery.event,
+			createdAt: delivery.createdAt,
+			data: delivery.data,
+		});
+		const timestamp = String(Math.floor(Date.now() / 1000));
+		const headers = {
+			"Content-Type": "application/json",
+			"X-Transcript-Event": delivery.event,
+			"X-Transcript-Delivery": delivery.id,
+			"X-Transcript-Timestamp": timestamp,
+		};
+		const { secret } = resolveConfig();
+		if (secret) {
+			headers["X-Transcript-Signature"] = signWebhookBody(
+				secret,
+				timestamp,
+				body,
+			);
+		}
+		const response = await fetch(delivery.url, {
+			method: "POST",
+			headers,
+			body,
+			signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+		});
+		// Drain the body so the connection can be reused.
+		await response.arrayBuffer().catch(() => {});
+		return response.status;
+	};
+
+	const attempt = async (delivery) => {
+		let status = null;
+		let failure = null;
+		try {
+			status = await send(delivery);
+		} catch (error) {
+			failure = error;
+		}
+		if (status !== null && status >= 200 && status < 300) {
+			await remove(delivery);
+			return true;
+		}
+
+		delivery.attempts += 1;
+		const reason = failure?.message ?? `HTTP ${status}`;
+		const permanent =
+			status !== null &&
+			status >= 400 &&
+			status < 500 &&
+			!RETRYABLE_CLIENT_STATUSES.has(status);
+		if (permanent || delivery.attempts >= MAX_ATTEMPTS) {
+			console.error(
+				`Giving up webhook ${delivery.event} delivery to ${delivery.url} after ${delivery.attempts} attempts: ${reason}`,
+			);
+			await remove(delivery);
+			return true;
+		}
+		delivery.nextAttemptAt = Date.now() + retryDelay(delivery.attempts);
+		console.warn(
+			`Webhook ${delivery.event} delivery to ${delivery.url} failed (${reason}), retrying in ${Math.round((delivery.nextAttemptAt - Date.now()) / 1000)} s.`,
+		);
+		await persist(delivery);
+		return false;
+	};
+
+	const schedule = () => {
+		clearTimeout(timer);
+		timer = null;
+		if (stopped || !deliveries.size) return;
+		// Deliveries queued behind a URL's first one wait for it, so only the
+		// first delivery of each URL decides when to wake up.
+		const heads = new Map(); // url -> oldest delivery
+		for (const delivery of deliveries.values()) {
+			const head = heads.get(delivery.url);
+			if (!head || delivery.sequence < head.sequence) {
+				heads.set(delivery.url, delivery);
+			}
+		}
+		const next = Math.min(
+			...[...heads.values()].map((delivery) => delivery.nextAttemptAt),
+		);
+		timer = setTimeout(pump, Math.max(0, next - Date.now()));
+	};
+
+	// Deliveries to a URL removed from the settings are dropped instead of
+	// being retried until they give up.
+	const dropUnconfigured = async () => {
+		const urls = new Set(resolveConfig().urls);
+		for (const delivery of [...deliveries.values()]) {
+			if (urls.has(delivery.url)) continue;
+			console.warn(
+				`Dropping webhook ${delivery.event} delivery to ${delivery.url}, which is no longer configured.`,
+			);
+			await remove(delivery);
+		}
+	};
+
+	const drain = async () => {
+		try {
+			await dropUnconfigured();
+		} catch (error) {
+			console.error("Failed to update webhook queue:", error);
+		}
+		const blockedUrls = new Set();
+		const ordered = [...deliveries.values()].sort(
+			(left, right) => left.sequence - right.sequence,
+		);
+		for (const delivery of ordered) {
+			if (stopped) return;
+			if (blockedUrls.has(delivery.url)) continue;
+			if (delivery.nextAttemptAt > Date.now()) {
+				blockedUrls.add(delivery.url);
+				continue;
+			}
+			try {
+				if (!(await attempt(delivery))) {
+					blockedUrls.add(delivery.url);
+				}
+			} catch (error) {
+				// The queue file could not be written; keep the delivery in memory.
+				console.error("Failed to update webhook queue:", error);
+				blockedUrls.add(delivery.url);
+			}
+		}
+	};
+
+	function pump() {
+		timer = null;
+		if (pumping) return pumping;
+		pumping = drain().finally(() => {
+			pumping = null;
+			schedule();
+		});
+		return pumping;
+	}
+
+	// Seeded from the clock so deliveries queued after a restart sort after
+	// the ones left over from the previous run.
+	let sequence = Date.now() * 1000;
+
+	return {
+		/**
+		 * Load deliveries left over from a previous run and start sending.
+		 */
+		async start() {
+			let names = [];
+			try {
+				names = await fs.promises.readdir(directory);
+			} catch (error) {
+				if (error.code !== "ENOENT") {
+					console.error("Failed to read webhook queue:", error);
+				}
+			}
+			for (const name of names) {
+				if (path.extname(name) !== DELIVERY_FILE_EXTENSION) continue;
+				const file = path.join(directory, name);
+				try {
+					const delivery = JSON.parse(await fs.promises.readFile(file, "utf8"));
+					deliveries.set(delivery.id, delivery);
+				} catch (error) {
+					console.error(`Dropping unreadable webhook delivery ${file}:`, error);
+					await fs.promises.rm(file, { force: true });
+				}
+			}
+			void pump();
+		},
+		/**
+		 * Queue an event for every configured URL.
+		 * @param {string} event One of WEBHOOK_EVENTS
+		 * @param {Object} data Event payload
+		 */
+		async enqueue(event, data) {
+			const { urls } = resolveConfig();
+			if (!urls.length || stopped) return;
+			const createdAt = new Date().toISOString();
+			for (const url of urls) {
+				const delivery = {
+					id: crypto.randomUUID(),
+					sequence: sequence++,
+					url,
+					event,
+					data,
+					createdAt,
+					attempts: 0,
+					nextAttemptAt: Date.now(),
+				};
+				deliveries.set(delivery.id, delivery);
+				try {
+					await persist(delivery);
+				} catch (error) {
+					console.error("Failed to queue webhook delivery:", error);
+				}
+			}
+			void pump();
+		},
+		/**
+		 * Apply a changed configuration now: drop deliveries to URLs that were
+		 * removed and send whatever is due.
+		 */
+		async refresh() {
+			if (stopped) return;
+			await pumping;
+			clearTimeout(timer);
+			await pump();
+		},
+		/**
+		 * Stop sending; queued deliveries stay on disk for the next start.
+		 */
+		async stop() {
+			stopped = true;
+			clearTimeout(timer);
+			timer = null;
+			await pumping;
+		},
+	};
+}